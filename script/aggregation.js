@@ -0,0 +1,265 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Aggregates chart series across resources, grouped by label.
+ */
+
+/**
+ * The Aggregation class collapses the series of a chart into one series per
+ * group of series sharing the same values for the group by labels, for
+ * example the total network traffic per zone. Series are reported at
+ * different times, so each series is interpolated at the times of the other
+ * series of its group before they are combined. An aggregation is saved in a
+ * dashboard with syntax:
+ *     {method: <'sum'|'avg'|'min'|'max'|'count'>, groupBy: [<label>, ...]}
+ * @constructor
+ * @param {Object} config The aggregation settings (optional). By default the
+ *     series are displayed as they are.
+ */
+var Aggregation = function(config) {
+  config = config || {};
+
+  /**
+   * Aggregation method, one of Aggregation.METHODS, or an empty string to
+   * display the series as they are.
+   * @type {string}
+   */
+  this.method = config.method || '';
+
+  /**
+   * Labels by which to group the series. If empty, all series are combined
+   * into one.
+   * @type {Array.<string>}
+   */
+  this.groupBy = config.groupBy || [];
+};
+
+/**
+ * Aggregation methods, each combining the values of a group at a time.
+ * @type {Object.<string, Function>}
+ */
+Aggregation.METHODS = {
+  sum: function(values) {
+    return d3.sum(values);
+  },
+  avg: function(values) {
+    return d3.mean(values);
+  },
+  min: function(values) {
+    return d3.min(values);
+  },
+  max: function(values) {
+    return d3.max(values);
+  },
+  count: function(values) {
+    return values.length;
+  }
+};
+
+/**
+ * Check whether aggregation settings are valid.
+ * @param {Object} config The aggregation settings.
+ * @return {boolean} True if the settings are valid.
+ */
+Aggregation.isValid = function(config) {
+  if (!config || (config.method &&
+      !Aggregation.METHODS.hasOwnProperty(config.method))) {
+    return false;
+  }
+  if (config.groupBy === undefined) {
+    return true;
+  }
+  if (!$.isArray(config.groupBy)) {
+    return false;
+  }
+  for (var label in config.groupBy) {
+    if (typeof(config.groupBy[label]) != 'string') {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Get the settings of the aggregation, for saving in a dashboard.
+ * @return {Object} The aggregation settings, or null if the series aren't
+ *     aggregated.
+ */
+Aggregation.prototype.getConfig = function() {
+  if (!this.method) {
+    return null;
+  }
+  return {method: this.method, groupBy: this.groupBy.slice()};
+};
+
+/**
+ * Aggregate formatted series.
+ * @param {Array.<Object>} series Series with syntax
+ *     [{name: <name>, labels: {<label>: <value>, ...},
+ *       data: [{x: <time>, y: <value>}, ...]}, ...],
+ *     with points in ascending time order.
+ * @return {Array.<Object>} One series per group, named after the method
+ *     and the group's label values.
+ */
+Aggregation.prototype.apply = function(series) {
+  if (!this.method) {
+    return series;
+  }
+
+  // Group the series by the values of the group by labels.
+  var groups = {};
+  var groupNames = [];
+  for (var index in series) {
+    var values = [];
+    for (var label in this.groupBy) {
+      var labels = series[index].labels || {};
+      values.push(labels[this.groupBy[label]] || '(none)');
+    }
+    var groupName = values.length ?
+        this.method + ' ' + values.join(', ') : this.method;
+    if (!groups[groupName]) {
+      groups[groupName] = [];
+      groupNames.push(groupName);
+    }
+    groups[groupName].push(series[index].data);
+  }
+
+  var palette = new Rickshaw.Color.Palette({scheme: 'munin'});
+  var aggregatedSeries = [];
+  groupNames.sort();
+  for (var group in groupNames) {
+    aggregatedSeries.push({
+      name: groupNames[group],
+      data: this.combine_(groups[groupNames[group]]),
+      color: palette.color()
+    });
+  }
+  return aggregatedSeries;
+};
+
+/**
+ * Give every series a point at every time any of the series has a point, as
+ * stacked renderers require. Values are interpolated between a series'
+ * points, and are zero before its first point and after its last point.
+ * @param {Array.<Object>} series Series with points in ascending time order.
+ * @return {Array.<Object>} The aligned series.
+ */
+Aggregation.align = function(series) {
+  var group = series.map(function(s) {
+    return s.data;
+  });
+  var sortedTimes = Aggregation.times_(group);
+  var positions = group.map(function() {
+    return 0;
+  });
+
+  var alignedSeries = [];
+  for (var data in group) {
+    var points = [];
+    for (var time in sortedTimes) {
+      var value = Aggregation.interpolate_(
+          group[data], sortedTimes[time], positions, data);
+      points.push({x: sortedTimes[time], y: value === null ? 0 : value});
+    }
+    alignedSeries.push($.extend({}, series[data], {data: points}));
+  }
+  return alignedSeries;
+};
+
+/**
+ * Combine the points of a group of series at every time any of them has a
+ * point. A series only contributes between its first and last point.
+ * @param {Array.<Array.<Object>>} group The points of each series, in
+ *     ascending time order.
+ * @return {Array.<Object>} The combined points.
+ * @private
+ */
+Aggregation.prototype.combine_ = function(group) {
+  var sortedTimes = Aggregation.times_(group);
+  var combined = [];
+  var positions = group.map(function() {
+    return 0;
+  });
+  for (var time in sortedTimes) {
+    var values = [];
+    for (var data in group) {
+      var value = Aggregation.interpolate_(
+          group[data], sortedTimes[time], positions, data);
+      if (value !== null) {
+        values.push(value);
+      }
+    }
+    if (values.length) {
+      combined.push({
+        x: sortedTimes[time],
+        y: Aggregation.METHODS[this.method](values)
+      });
+    }
+  }
+  return combined;
+};
+
+/**
+ * Get every time at which any of a group of series has a point.
+ * @param {Array.<Array.<Object>>} group The points of each series.
+ * @return {Array.<number>} The times, in ascending order.
+ * @private
+ */
+Aggregation.times_ = function(group) {
+  var times = {};
+  for (var data in group) {
+    for (var point in group[data]) {
+      times[group[data][point].x] = true;
+    }
+  }
+  var sortedTimes = [];
+  for (var time in times) {
+    sortedTimes.push(Number(time));
+  }
+  sortedTimes.sort(function(a, b) {
+    return a - b;
+  });
+  return sortedTimes;
+};
+
+/**
+ * Interpolate the value of a series at a time. Times are visited in
+ * ascending order, so the search resumes from the previous position.
+ * @param {Array.<Object>} data The series points, in ascending time order.
+ * @param {number} time The time in milliseconds.
+ * @param {Array.<number>} positions The index of the first point at or
+ *     after the previous time, for each series of the group.
+ * @param {number} index The index of the series in the group.
+ * @return {number} The value, or null if the time is outside the series.
+ * @private
+ */
+Aggregation.interpolate_ = function(data, time, positions, index) {
+  if (!data.length || time < data[0].x || time > data[data.length - 1].x) {
+    return null;
+  }
+  var position = positions[index];
+  while (data[position].x < time) {
+    position++;
+  }
+  positions[index] = position;
+
+  if (data[position].x == time) {
+    return data[position].y;
+  }
+  var before = data[position - 1];
+  var after = data[position];
+  return before.y +
+      (after.y - before.y) * (time - before.x) / (after.x - before.x);
+};
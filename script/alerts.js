@@ -0,0 +1,268 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Evaluates threshold alert rules against chart data and
+ * notifies the user when they fire.
+ */
+
+/**
+ * The AlertManager class checks chart data against alert rules and keeps
+ * track of firing alerts. A rule has syntax:
+ *     {
+ *       operator: <'>'|'<'>,
+ *       threshold: <value>,
+ *       duration: <minutes>
+ *     }
+ * and fires for a series when every point of the series during the last
+ * duration minutes is above (or below) the threshold. Firing alerts are
+ * shown in a banner, with a browser notification and a sound, and every
+ * change is recorded in the alert history.
+ * @constructor
+ */
+var AlertManager = function() {
+  /**
+   * Firing alerts, keyed by chart number, rule index and series name.
+   * @type {Object.<string, Object>}
+   * @private
+   */
+  this.firing_ = {};
+
+  /**
+   * Alerts that fired or resolved, most recent first.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.history_ = [];
+
+  /**
+   * Maximum number of entries to keep in the alert history.
+   * @type {number}
+   * @private
+   */
+  this.maxHistory_ = 200;
+
+  /**
+   * Audio context used to play the alert sound. Created on first use.
+   * @type {AudioContext}
+   * @private
+   */
+  this.audioContext_ = null;
+};
+
+/**
+ * Initialize events on the alert HTML elements.
+ */
+AlertManager.prototype.init = function() {
+  $('#alert-history-button').click(function() {
+    if ($('#alert-history').css('display') == 'none') {
+      $('#alert-history').fadeIn(500);
+    } else {
+      $('#alert-history').fadeOut(500);
+    }
+  });
+  this.render_();
+};
+
+/**
+ * Ask the user for permission to show browser notifications. Called when
+ * the user adds an alert rule.
+ */
+AlertManager.prototype.requestPermission = function() {
+  if (window.Notification && Notification.permission == 'default') {
+    Notification.requestPermission();
+  }
+};
+
+/**
+ * Check a chart's data against its alert rules.
+ * @param {number} chartNumber The number of the chart.
+ * @param {string} title The title of the chart, used in notifications.
+ * @param {Array.<Object>} rules The chart's alert rules.
+ * @param {Array.<Object>} data The chart's formatted data series.
+ * @return {Array.<string>} Names of the series for which a rule is firing.
+ */
+AlertManager.prototype.evaluate = function(chartNumber, title, rules, data) {
+  var firingSeries = [];
+  var firingKeys = {};
+
+  for (var rule in rules) {
+    for (var series in data) {
+      if (!this.isFiring_(rules[rule], data[series].data)) {
+        continue;
+      }
+      var key = chartNumber + ':' + rule + ':' + data[series].name;
+      firingKeys[key] = true;
+      if (firingSeries.indexOf(data[series].name) == -1) {
+        firingSeries.push(data[series].name);
+      }
+      if (!this.firing_[key]) {
+        this.firing_[key] = {
+          chartNumber: chartNumber,
+          title: title,
+          series: data[series].name,
+          rule: AlertManager.describeRule(rules[rule]),
+          since: new Date()
+        };
+        this.notify_(this.firing_[key]);
+      }
+    }
+  }
+
+  // Resolve the chart's alerts that are no longer firing.
+  for (var key in this.firing_) {
+    if (this.firing_[key].chartNumber == chartNumber && !firingKeys[key]) {
+      this.addHistory_(this.firing_[key], 'resolved');
+      delete this.firing_[key];
+    }
+  }
+
+  this.render_();
+  return firingSeries;
+};
+
+/**
+ * Forget the firing alerts of a chart, without recording them as resolved.
+ * Called when the chart is removed or its rules change.
+ * @param {number} chartNumber The number of the chart.
+ */
+AlertManager.prototype.clear = function(chartNumber) {
+  for (var key in this.firing_) {
+    if (this.firing_[key].chartNumber == chartNumber) {
+      delete this.firing_[key];
+    }
+  }
+  this.render_();
+};
+
+/**
+ * Describe an alert rule for display.
+ * @param {Object} rule An alert rule.
+ * @return {string} A description such as '> 100 for 5 min'.
+ */
+AlertManager.describeRule = function(rule) {
+  return rule.operator + ' ' + rule.threshold + ' for ' + rule.duration +
+      ' min';
+};
+
+/**
+ * Check whether a rule fires for a series.
+ * @param {Object} rule An alert rule.
+ * @param {Array.<Object>} points The series points sorted by time, with
+ *     syntax [{x: <time>, y: <value>}, ...].
+ * @return {boolean} True if every point in the rule's duration breaches the
+ *     threshold.
+ * @private
+ */
+AlertManager.prototype.isFiring_ = function(rule, points) {
+  if (!points || !points.length) {
+    return false;
+  }
+
+  // The series must cover the whole duration for the rule to fire.
+  var latest = points[points.length - 1].x;
+  var start = latest - rule.duration * 60000;
+  if (points[0].x > start) {
+    return false;
+  }
+
+  for (var i = points.length - 1; i >= 0 && points[i].x >= start; i--) {
+    var y = points[i].y;
+    var breached = rule.operator == '<' ?
+        y < rule.threshold : y > rule.threshold;
+    if (!breached) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Notify the user that an alert started firing.
+ * @param {Object} alert The firing alert.
+ * @private
+ */
+AlertManager.prototype.notify_ = function(alert) {
+  this.addHistory_(alert, 'fired');
+  this.playSound_();
+
+  if (window.Notification && Notification.permission == 'granted') {
+    new Notification('Alert: ' + alert.title, {
+      body: alert.series + ' ' + alert.rule,
+      tag: alert.chartNumber + ':' + alert.series
+    });
+  }
+};
+
+/**
+ * Play a short tone. Browsers without the Web Audio API stay silent.
+ * @private
+ */
+AlertManager.prototype.playSound_ = function() {
+  if (!$('#alert-sound').is(':checked')) {
+    return;
+  }
+  var AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) {
+    return;
+  }
+  if (!this.audioContext_) {
+    this.audioContext_ = new AudioContext();
+  }
+
+  var oscillator = this.audioContext_.createOscillator();
+  oscillator.frequency.value = 880;
+  oscillator.connect(this.audioContext_.destination);
+  oscillator.start(0);
+  oscillator.stop(this.audioContext_.currentTime + 0.3);
+};
+
+/**
+ * Record a change of state of an alert in the history.
+ * @param {Object} alert The alert.
+ * @param {string} state Either 'fired' or 'resolved'.
+ * @private
+ */
+AlertManager.prototype.addHistory_ = function(alert, state) {
+  this.history_.unshift($.extend({}, alert, {state: state, time: new Date()}));
+  this.history_.splice(this.maxHistory_);
+};
+
+/**
+ * Display the firing alerts in the banner and the alert history.
+ * @private
+ */
+AlertManager.prototype.render_ = function() {
+  var firingCount = 0;
+  $('#alert-banner-list').empty();
+  for (var key in this.firing_) {
+    var item = document.createElement('li');
+    $(item).text(this.firing_[key].title + ': ' + this.firing_[key].series +
+        ' ' + this.firing_[key].rule);
+    $('#alert-banner-list').append(item);
+    firingCount++;
+  }
+  $('#alert-banner').css('display', firingCount ? 'block' : 'none');
+
+  $('#alert-history-button').val('Alerts (' + firingCount + ' firing)');
+  $('#alert-history-list').empty();
+  for (var entry in this.history_) {
+    var item = document.createElement('li');
+    $(item).addClass(this.history_[entry].state);
+    $(item).text(this.history_[entry].time.toLocaleString() + ' ' +
+        this.history_[entry].state + ': ' + this.history_[entry].title +
+        ': ' + this.history_[entry].series + ' ' + this.history_[entry].rule);
+    $('#alert-history-list').append(item);
+  }
+};
@@ -0,0 +1,153 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Badge showing the state of the connection to the API.
+ */
+
+/**
+ * The ApiStatus class displays a badge with the time of the last successful
+ * request to the Monitoring API, and whether requests are failing or being
+ * retried. The last error is shown when hovering over the badge.
+ * @constructor
+ * @param {Element} element The HTML element in which to display the badge.
+ */
+var ApiStatus = function(element) {
+  /**
+   * Element in which to display the badge.
+   * @type {Element}
+   * @private
+   */
+  this.element_ = element;
+
+  /**
+   * Time of the last successful request.
+   * @type {Date}
+   * @private
+   */
+  this.lastSuccess_ = null;
+
+  /**
+   * Number of requests that failed since the last successful request.
+   * @type {number}
+   * @private
+   */
+  this.failures_ = 0;
+
+  /**
+   * Number of requests that failed since the page was loaded.
+   * @type {number}
+   * @private
+   */
+  this.totalFailures_ = 0;
+
+  /**
+   * Last error returned by the API, or null if the last request succeeded.
+   * @type {Object}
+   * @private
+   */
+  this.lastError_ = null;
+
+  /**
+   * True if the last error is being retried.
+   * @type {boolean}
+   * @private
+   */
+  this.retrying_ = false;
+
+  /**
+   * Delay before the retry in milliseconds.
+   * @type {number}
+   * @private
+   */
+  this.retryDelay_ = 0;
+
+  /**
+   * Counts of requests reported by the API object, or null if unknown.
+   * @type {Object.<string, number>}
+   * @private
+   */
+  this.stats_ = null;
+};
+
+/**
+ * Record the outcome of a request and update the badge. Suitable for
+ * MonitoringApi.onRequest.
+ * @param {string} outcome One of 'success', 'retry' or 'failure'.
+ * @param {Object} error The error, if the request failed (optional). See
+ *     MonitoringApi.classifyError.
+ * @param {number} delay The delay before the retry in milliseconds
+ *     (optional).
+ * @param {Object.<string, number>} stats Counts of requests, as returned by
+ *     MonitoringApi.getStats (optional).
+ */
+ApiStatus.prototype.update = function(outcome, error, delay, stats) {
+  this.stats_ = stats || this.stats_;
+  if (outcome == 'success') {
+    this.lastSuccess_ = new Date();
+    this.failures_ = 0;
+    this.lastError_ = null;
+    this.retrying_ = false;
+  } else {
+    this.lastError_ = error;
+    this.retrying_ = outcome == 'retry';
+    this.retryDelay_ = delay || 0;
+    if (outcome == 'failure') {
+      this.failures_++;
+      this.totalFailures_++;
+    }
+  }
+  this.render_();
+};
+
+/**
+ * Display the badge.
+ * @private
+ */
+ApiStatus.prototype.render_ = function() {
+  var lastRefresh = this.lastSuccess_ ?
+      'updated ' + this.lastSuccess_.toLocaleTimeString() : 'no data yet';
+
+  var text = 'Connected, ' + lastRefresh;
+  var style = 'label-success';
+  if (this.lastError_ && this.lastError_.reason == 'auth') {
+    text = 'Authorization expired, ' + lastRefresh;
+    style = 'label-danger';
+  } else if (this.retrying_) {
+    text = MonitoringApi.ERRORS[this.lastError_.reason] + ', retrying in ' +
+        Math.ceil(this.retryDelay_ / 1000) + 's';
+    style = 'label-warning';
+  } else if (this.failures_) {
+    text = this.failures_ + ' failed request' +
+        (this.failures_ > 1 ? 's' : '') + ', ' + lastRefresh;
+    style = 'label-danger';
+  }
+
+  var title = [this.totalFailures_ + ' failed requests since the page loaded.'];
+  if (this.lastError_) {
+    title.push('Last error: ' + this.lastError_.message);
+  }
+  if (this.stats_) {
+    title.push('Requests: ' + this.stats_.requests + ' sent, ' +
+        this.stats_.retries + ' retried, ' + this.stats_.coalesced +
+        ' shared. Lookups: ' + this.stats_.cacheHits + ' cached, ' +
+        this.stats_.cacheMisses + ' fetched.');
+  }
+
+  $(this.element_).removeClass('label-success label-warning label-danger');
+  $(this.element_).addClass(style);
+  $(this.element_).text(text);
+  $(this.element_).attr('title', title.join(' '));
+  $(this.element_).css('display', '');
+};
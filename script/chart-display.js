@@ -26,10 +26,7 @@ var ChartDisplay = function(api) {
    * Values for the range selector.
    * @type {Array.<string>}
    */
-  this.timespanValues = ['5m', '10m', '20m', '30m', '40m', '50m', '1h', '2h',
-                         '3h', '4h', '5h', '6h', '7h', '8h', '9h', '10h', '11h',
-                         '12h', '1d', '2d', '3d', '4d', '5d', '6d', '1w',
-                         '2w', '3w', '30d'];
+  this.timespanValues = Dashboard.TIMESPANS;
 
   /**
    * The default timespan to select on page load.
@@ -37,6 +34,43 @@ var ChartDisplay = function(api) {
    */
   this.defaultTimespanIndex = 6;
 
+  /**
+   * The percentiles displayed when a distribution metric is first displayed
+   * as percentiles.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.defaultPercentiles_ = [50, 90, 99];
+
+  /**
+   * Offsets of the earlier data that can be drawn over a chart for
+   * comparison, mapped to the text displayed in the selector.
+   * @type {Object.<string, string>}
+   * @private
+   */
+  this.compareOptions_ = {
+    '': 'No comparison',
+    '1h': 'Compare to 1 hour ago',
+    '1d': 'Compare to 1 day ago',
+    '1w': 'Compare to 1 week ago'
+  };
+
+  /**
+   * The timespan currently selected. Used for the query of new charts.
+   * @type {string}
+   * @private
+   */
+  this.timespan_ = this.timespanValues[this.defaultTimespanIndex];
+
+  /**
+   * The fixed time window currently displayed, with syntax
+   * {oldest: <ISO-date>, youngest: <ISO-date>}. Null when the charts show
+   * the live timespan.
+   * @type {Object}
+   * @private
+   */
+  this.timeWindow_ = null;
+
   /**
    * The Monitoring API object.
    * @type {Object}
@@ -45,12 +79,64 @@ var ChartDisplay = function(api) {
   this.api_ = api;
 
   /**
-   * A list of objects representing the visible charts, their data, and
-   * their queries.
+   * An object mapping chart number to the objects representing the visible
+   * charts, their data, and their queries.
+   * @type {Object.<number, Chart>}
+   * @private
+   */
+  this.charts_ = {};
+
+  /**
+   * Number of charts created so far. Used to give each chart a unique number.
+   * @type {number}
+   * @private
+   */
+  this.chartCount_ = 0;
+
+  /**
+   * Metrics returned by the metricDescriptors.list API endpoint.
    * @type {Array.<Object>}
    * @private
    */
-  this.charts_ = [];
+  this.metrics_ = [];
+
+  /**
+   * Browser from which the user adds charts to the page.
+   * @type {MetricBrowser}
+   */
+  this.metricBrowser = new MetricBrowser(this.addChart());
+
+  /**
+   * Checks the charts' alert rules and notifies the user.
+   * @type {AlertManager}
+   */
+  this.alertManager = new AlertManager();
+
+  /**
+   * Events marked on all charts.
+   * @type {EventManager}
+   */
+  this.eventManager = new EventManager(this.eventUpdater());
+
+  /**
+   * Function to call with the dashboard whenever the user changes it or
+   * switches to another dashboard.
+   * @type {Function}
+   */
+  this.onDashboardChange = null;
+
+  /**
+   * Named dashboards of the project, loaded with the project's metrics.
+   * @type {DashboardStore}
+   */
+  this.dashboardStore = null;
+
+  /**
+   * Title of the displayed dashboard.
+   * @type {string}
+   * @private
+   */
+  this.title_ = DashboardStore.DEFAULT_TITLE;
 
   /**
    * List of default charts to display.
@@ -74,10 +160,13 @@ var ChartDisplay = function(api) {
  * Add the chart based on the provided metric.
  * @param {Object} metric A single metric object returned from the
  *     metricDescriptors.list API endpoint.
+ * @param {Object} config A chart configuration from a dashboard (optional).
  */
-ChartDisplay.prototype.display = function(metric) {
+ChartDisplay.prototype.display = function(metric, config) {
+  var self = this;
+  config = config || {};
 
-  var chartNumber = this.charts_.length;
+  var chartNumber = this.chartCount_++;
 
   // Create a container to hold all chart elements.
   var chartContainer = this.createChartContainer_(chartNumber);
@@ -90,76 +179,472 @@ ChartDisplay.prototype.display = function(metric) {
   var errorElement = this.createErrorElement_(chartNumber);
   $(chartContainer).append(errorElement);
 
-  // Create an element in which to display the chart itself.
+  // Create an element in which to display the chart itself, inside a frame
+  // with which the user resizes the chart.
   var chartElement = this.createChartElement_(chartNumber);
-  $(chartContainer).append(chartElement);
+  var chartFrame = this.createChartFrame_(chartElement);
+  $(chartContainer).append(chartFrame);
 
   // Create the chart legend.
   var chartLegend = this.createChartLegend_(chartNumber, chart);
   $(chartContainer).append(chartLegend);
 
-  // Create a query object to query the API.
-  var query = {
-    metric: metric.name,
-    project: this.api_.projectId,
-    timespan: this.timespanValues[this.defaultTimespanIndex]
-  };
+  // Create a query object to query the API, starting from the query saved
+  // in the chart configuration.
+  var query = $.extend(true, {timespan: this.timespan_}, config.query);
+  query.metric = metric.name;
+  query.project = this.api_.projectId;
+  if (this.timeWindow_) {
+    delete query.timespan;
+    $.extend(query, this.timeWindow_);
+  }
 
-  // Create a data formatter based on the type of metric.
-  var formatter = null;
-  if (metric.typeDescriptor.valueType == 'distribution') {
-    formatter = this.formatDataDistribution_();
-  } else if (metric.typeDescriptor.valueType == 'double') {
-    formatter = this.formatDataSimple_('doubleValue');
-  } else {
-    formatter = this.formatDataSimple_('int64Value');
+  // Distribution metrics are displayed as a heatmap by default, and
+  // cumulative counters as rates. A renderer that can't draw the metric,
+  // such as a heatmap imported for a metric that isn't a distribution, is
+  // replaced by the default.
+  var renderer = config.renderer;
+  if (!renderer || !this.rendererFits_(metric, renderer)) {
+    renderer = this.defaultRenderer_(metric);
   }
+  config = $.extend({}, config, {
+    renderer: renderer,
+    transform: config.transform || Transform.forMetric(metric)
+  });
+
+  // Create a data formatter based on the type of metric.
+  var formatter = this.createFormatter_(metric, config);
 
   // Create the actual chart.
   var chart = new Chart(
-      chartElement, chartLegend, errorElement, this.api_, query, formatter);
+      chartElement, chartLegend, errorElement, this.api_, query, formatter,
+      config);
+  chart.onZoom = function(oldest, youngest) {
+    self.windowUpdater(oldest, youngest);
+  };
+  chart.onHover = function(time) {
+    self.hoverUpdater(time);
+  };
+  chart.setEvents(this.eventManager.getEvents());
+  chart.onData = function(data) {
+    // Alert rules only apply to live data.
+    if (self.timeWindow_) {
+      return;
+    }
+    chart.setAlertingSeries(self.alertManager.evaluate(
+        chartNumber, metric.description, chart.alertRules, data));
+  };
 
   // Create the label form.
-  var chartLabelForm = this.createChartLabelForm_(chartNumber, metric);
+  var chartLabelForm = this.createChartLabelForm_(
+      chartNumber, metric, query.labels, config.aggregation);
 
   // Create the search icon.
   var searchIcon = this.createSearchIcon_(chartLabelForm);
   $(chartContainer).append(searchIcon);
+
+  // Create the selector for the way distribution metrics are displayed.
+  var distributionSelect = this.createDistributionSelect_(chart, metric);
+  $(chartContainer).append(distributionSelect);
+
+  // Create the selector for the renderer of other metrics.
+  var rendererSelect = this.createRendererSelect_(chart, metric);
+  $(chartContainer).append(rendererSelect);
+
+  // Create the selector for the transform of other metrics.
+  var transformSelect = this.createTransformSelect_(chart, metric);
+  $(chartContainer).append(transformSelect);
+
+  // Create the selector for comparing with earlier data.
+  var compareSelect = this.createCompareSelect_(chart);
+  $(chartContainer).append(compareSelect);
+
+  // Create the input for the other projects to query.
+  var projectsInput = this.createProjectsInput_(chart);
+  $(chartContainer).append(projectsInput);
+
+  // Create the selector for displaying the data with a widget.
+  var widgetSelect = this.createWidgetSelect_(chart, metric, chartContainer);
+  $(chartContainer).append(widgetSelect);
+
+  // Create the selector for exporting the chart's data or image.
+  var exportSelect = this.createExportSelect_(chart, metric);
+  $(chartContainer).append(exportSelect);
+
+  // Create the alert form and icon.
+  var chartAlertForm = this.createChartAlertForm_(chartNumber, chart);
+  var alertIcon = this.createFormIcon_(
+      'alert-icon', 'Alert rules', '!', chartAlertForm);
+  $(chartContainer).append(alertIcon);
+
+  // Create the threshold form and icon.
+  var chartThresholdForm = this.createChartThresholdForm_(chart);
+  var thresholdIcon = this.createFormIcon_(
+      'threshold-icon', 'Threshold lines', '\u2015', chartThresholdForm);
+  $(chartContainer).append(thresholdIcon);
+
+  // Create the remove icon.
+  var removeIcon = this.createRemoveIcon_(chartNumber);
+  $(chartContainer).append(removeIcon);
   $(chartContainer).append(chartLabelForm);
+  $(chartContainer).append(chartAlertForm);
+  $(chartContainer).append(chartThresholdForm);
 
   // Add the container to the charts HTML element.
   $('#charts').append(chartContainer);
+  this.makeResizable_(chartFrame, chart);
 
   // Add the chart object to the list of charts.
-  this.charts_.push(chart);
+  this.charts_[chartNumber] = chart;
 };
 
 /**
- * Displays default charts. Called by the controller once all necessary
- * initialization steps have been completed.
- * @return {Function} A function to display the default charts on the page.
+ * Displays the dashboard the user last displayed for the project, or the
+ * default charts if none has been saved. Called by the controller once all
+ * necessary initialization steps have been completed.
+ * @return {Function} A function to display the charts on the page.
  */
 ChartDisplay.prototype.displayDefaultCharts = function() {
   var self = this;
 
   return function(metrics) {
-    $('#charts').empty();
-    for (var metric in metrics) {
-      if (self.defaultCharts_.indexOf(metrics[metric].name) > -1) {
-        self.display(metrics[metric]);
-      }
+    self.metrics_ = metrics || [];
+    self.dashboardStore = new DashboardStore(self.api_.projectId);
+    self.dashboardStore.load();
+    self.loadDashboard(self.dashboardStore.getActive() ||
+        self.createDefaultDashboard_());
+  }
+};
+
+/**
+ * Display another of the project's dashboards.
+ * @param {string} title The title of the dashboard.
+ * @return {Array.<string>} Names of metrics in the dashboard that don't exist
+ *     in the project and so could not be displayed.
+ */
+ChartDisplay.prototype.switchDashboard = function(title) {
+  var dashboard = this.dashboardStore.get(title);
+  if (!dashboard) {
+    return [];
+  }
+  var missingMetrics = this.loadDashboard(dashboard);
+  this.dashboardStore.setActive(title);
+  if (this.onDashboardChange) {
+    this.onDashboardChange(this.getDashboard());
+  }
+  return missingMetrics;
+};
+
+/**
+ * Create a dashboard with the default charts and display it.
+ * @param {string} title The title of the new dashboard.
+ */
+ChartDisplay.prototype.createDashboard = function(title) {
+  var dashboard = this.createDefaultDashboard_();
+  dashboard.title = title;
+  this.loadDashboard(dashboard);
+  this.saveDashboard();
+};
+
+/**
+ * Save a copy of the displayed dashboard under another title and display
+ * the copy.
+ * @param {string} title The title of the copy.
+ */
+ChartDisplay.prototype.duplicateDashboard = function(title) {
+  var dashboard = this.getDashboard();
+  dashboard.title = title;
+  this.loadDashboard(dashboard, this.timeWindow_);
+  this.saveDashboard();
+};
+
+/**
+ * Rename the displayed dashboard.
+ * @param {string} title The new title.
+ */
+ChartDisplay.prototype.renameDashboard = function(title) {
+  var oldTitle = this.title_;
+  this.title_ = title;
+  this.saveDashboard(oldTitle);
+};
+
+/**
+ * Delete the displayed dashboard and display the next one. If it was the
+ * last dashboard, a dashboard with the default charts is created.
+ */
+ChartDisplay.prototype.deleteDashboard = function() {
+  this.dashboardStore.remove(this.title_);
+  var dashboard = this.dashboardStore.getActive();
+  if (dashboard) {
+    this.switchDashboard(dashboard.title);
+  } else {
+    this.createDashboard(DashboardStore.DEFAULT_TITLE);
+  }
+};
+
+/**
+ * Get the title of the displayed dashboard.
+ * @return {string} The title.
+ */
+ChartDisplay.prototype.getTitle = function() {
+  return this.title_;
+};
+
+/**
+ * Replace the charts on the page with the charts described by a dashboard.
+ * @param {Dashboard} dashboard The dashboard to display.
+ * @param {Object} timeWindow A fixed time window to display, with syntax
+ *     {oldest: <ISO-date>, youngest: <ISO-date>} (optional). By default the
+ *     charts show the live timespan.
+ * @return {Array.<string>} Names of metrics in the dashboard that don't exist
+ *     in the project and so could not be displayed.
+ */
+ChartDisplay.prototype.loadDashboard = function(dashboard, timeWindow) {
+  this.removeAllCharts_();
+  this.title_ = dashboard.title || DashboardStore.DEFAULT_TITLE;
+  if (dashboard.timespan) {
+    this.timespan_ = dashboard.timespan;
+  }
+  this.timeWindow_ = timeWindow || null;
+  this.eventManager.load(dashboard.events, dashboard.eventFeed);
+
+  var missingMetrics = [];
+  for (var chart in dashboard.charts) {
+    var config = dashboard.charts[chart];
+    var metric = this.findMetric_(config.query.metric);
+    if (metric) {
+      this.display(metric, config);
+    } else {
+      missingMetrics.push(config.query.metric);
     }
   }
+  this.updateMetricBrowser_();
+  return missingMetrics;
+};
+
+/**
+ * Get the dashboard describing the charts currently on the page.
+ * @return {Dashboard} The current dashboard.
+ */
+ChartDisplay.prototype.getDashboard = function() {
+  var charts = [];
+  var chartNumbers = this.getChartOrder_();
+  for (var chart in chartNumbers) {
+    charts.push(this.charts_[chartNumbers[chart]].getConfig());
+  }
+  return new Dashboard(this.title_, this.timespan_, charts,
+      this.eventManager.getSavedEvents(), this.eventManager.getFeedUrl());
+};
+
+/**
+ * Freeze the displayed dashboard with the data drawn on each chart.
+ * @return {Snapshot} The snapshot.
+ */
+ChartDisplay.prototype.getSnapshot = function() {
+  var range = this.getDisplayedRange_();
+  var events = this.eventManager.getEvents().map(function(event) {
+    return {
+      time: new Date(event.time).toISOString(),
+      description: event.description
+    };
+  });
+
+  var charts = [];
+  var chartNumbers = this.getChartOrder_();
+  for (var chart in chartNumbers) {
+    var displayedChart = this.charts_[chartNumbers[chart]];
+    var metric = this.findMetric_(displayedChart.query.metric);
+    charts.push({
+      title: metric ? metric.description : displayedChart.query.metric,
+      config: displayedChart.getConfig(),
+      data: displayedChart.getSnapshotData()
+    });
+  }
+
+  return new Snapshot({
+    title: this.title_,
+    projectId: this.api_.projectId,
+    created: new Date().toISOString(),
+    oldest: new Date(range[0]).toISOString(),
+    youngest: new Date(range[1]).toISOString(),
+    events: events,
+    charts: charts
+  });
+};
+
+/**
+ * Get the numbers of the charts in the order in which they're displayed,
+ * which the user can change by dragging them.
+ * @return {Array.<number>} The chart numbers.
+ * @private
+ */
+ChartDisplay.prototype.getChartOrder_ = function() {
+  var self = this;
+
+  var chartNumbers = [];
+  $('#charts').children('.chartContainer').each(function() {
+    var chartNumber = parseInt(
+        $(this).attr('id').replace('chartContainer', ''), 10);
+    if (self.charts_[chartNumber]) {
+      chartNumbers.push(chartNumber);
+    }
+  });
+  return chartNumbers;
+};
+
+/**
+ * Let the user reorder the charts by dragging their titles. The new order is
+ * saved in the dashboard.
+ */
+ChartDisplay.prototype.initGrid = function() {
+  var self = this;
+
+  $('#charts').sortable({
+    items: '.chartContainer',
+    handle: 'h4',
+    placeholder: 'chartPlaceholder',
+    forcePlaceholderSize: true,
+    tolerance: 'pointer',
+    update: function() {
+      self.saveDashboard();
+    }
+  });
+};
+
+/**
+ * Get the currently selected timespan.
+ * @return {string} The timespan.
+ */
+ChartDisplay.prototype.getTimespan = function() {
+  return this.timespan_;
+};
+
+/**
+ * Get the fixed time window currently displayed.
+ * @return {Object} The time window, with syntax
+ *     {oldest: <ISO-date>, youngest: <ISO-date>}, or null if the charts show
+ *     the live timespan.
+ */
+ChartDisplay.prototype.getTimeWindow = function() {
+  return this.timeWindow_;
+};
+
+/**
+ * Add a chart for a metric selected by the user and save the dashboard.
+ * @return {Function} A function to add a chart for a metric.
+ */
+ChartDisplay.prototype.addChart = function() {
+  var self = this;
+
+  return function(metric) {
+    self.display(metric);
+    self.saveDashboard();
+    self.updateMetricBrowser_();
+  };
+};
+
+/**
+ * Remove a chart from the page and save the dashboard.
+ * @param {number} chartNumber The chart number to remove.
+ * @return {Function} A function to remove the chart.
+ */
+ChartDisplay.prototype.removeChart = function(chartNumber) {
+  var self = this;
+
+  return function() {
+    self.charts_[chartNumber].destroy();
+    $('#chartContainer' + chartNumber).remove();
+    delete self.charts_[chartNumber];
+    self.alertManager.clear(chartNumber);
+    self.saveDashboard();
+    self.updateMetricBrowser_();
+  };
+};
+
+/**
+ * Remove all charts from the page without changing the saved dashboard. The
+ * charts are destroyed so that requests they sent are ignored.
+ * @private
+ */
+ChartDisplay.prototype.removeAllCharts_ = function() {
+  for (var chart in this.charts_) {
+    this.charts_[chart].destroy();
+    this.alertManager.clear(chart);
+  }
+  $('#charts').empty();
+  this.charts_ = {};
+};
+
+/**
+ * Find a metric object by name.
+ * @param {string} name The metric name.
+ * @return {Object} The metric object, or null if the metric doesn't exist.
+ * @private
+ */
+ChartDisplay.prototype.findMetric_ = function(name) {
+  for (var metric in this.metrics_) {
+    if (this.metrics_[metric].name == name) {
+      return this.metrics_[metric];
+    }
+  }
+  return null;
+};
+
+/**
+ * Create a dashboard with the default charts.
+ * @return {Dashboard} A Dashboard object.
+ * @private
+ */
+ChartDisplay.prototype.createDefaultDashboard_ = function() {
+  var charts = [];
+  for (var name in this.defaultCharts_) {
+    charts.push({query: {metric: this.defaultCharts_[name]}});
+  }
+  return new Dashboard(
+      DashboardStore.DEFAULT_TITLE,
+      this.timespanValues[this.defaultTimespanIndex],
+      charts);
+};
+
+/**
+ * Refresh the metric browser with the current metrics and charts.
+ * @private
+ */
+ChartDisplay.prototype.updateMetricBrowser_ = function() {
+  var chartMetrics = [];
+  for (var chart in this.charts_) {
+    chartMetrics.push(this.charts_[chart].query.metric);
+  }
+  this.metricBrowser.update(this.metrics_, chartMetrics);
+};
+
+/**
+ * Save the current dashboard in local storage so that each project keeps
+ * its own dashboards. Called whenever the user changes the dashboard.
+ * @param {string} oldTitle The previous title of the dashboard, if it was
+ *     renamed (optional).
+ */
+ChartDisplay.prototype.saveDashboard = function(oldTitle) {
+  var dashboard = this.getDashboard();
+  if (this.dashboardStore) {
+    this.dashboardStore.put(dashboard, oldTitle);
+  }
+  if (this.onDashboardChange) {
+    this.onDashboardChange(dashboard);
+  }
 };
 
 /**
  * Update all the charts at a given interval. The interval is set by the
- * controller.
+ * controller. Charts showing a fixed time window are not updated.
  * @return {Function} A function to update the charts.
  */
 ChartDisplay.prototype.intervalUpdater = function() {
   var self = this;
   return function() {
+    if (self.timeWindow_) {
+      return;
+    }
     for (var chart in self.charts_) {
       self.charts_[chart].update();
     }
@@ -172,9 +657,114 @@ ChartDisplay.prototype.intervalUpdater = function() {
  * @param {string} timespan The new timespan for the query.
  */
 ChartDisplay.prototype.rangeUpdater = function(timespan) {
+  this.timespan_ = timespan;
+  this.timeWindow_ = null;
+  for (var chart in this.charts_) {
+    this.charts_[chart].setTimeRange({'timespan': timespan});
+  }
+  this.saveDashboard();
+};
+
+/**
+ * Display a fixed time window on all charts. Live updates are paused until
+ * a timespan is selected again.
+ * @param {Date} oldest The start of the window.
+ * @param {Date} youngest The end of the window.
+ */
+ChartDisplay.prototype.windowUpdater = function(oldest, youngest) {
+  this.timeWindow_ = {
+    oldest: oldest.toISOString(),
+    youngest: youngest.toISOString()
+  };
+  for (var chart in this.charts_) {
+    this.charts_[chart].setTimeRange(this.timeWindow_);
+  }
+  this.saveDashboard();
+};
+
+/**
+ * Mark the events on all charts. This method is called when the events
+ * change.
+ * @return {Function} A function to update the events, which takes a boolean
+ *     set to true if the user changed the events and the dashboard should be
+ *     saved.
+ */
+ChartDisplay.prototype.eventUpdater = function() {
+  var self = this;
+  return function(save) {
+    var events = self.eventManager.getEvents();
+    for (var chart in self.charts_) {
+      self.charts_[chart].setEvents(events);
+    }
+    if (save) {
+      self.saveDashboard();
+    }
+  };
+};
+
+/**
+ * Draw the crosshair at the same time on all charts. This method is called
+ * when the mouse moves over any chart.
+ * @param {number} time The hovered time in milliseconds, or null to hide the
+ *     crosshair.
+ */
+ChartDisplay.prototype.hoverUpdater = function(time) {
   for (var chart in this.charts_) {
-    this.charts_[chart].update({'timespan': timespan});
+    if (time === null) {
+      this.charts_[chart].hideCrosshair();
+    } else {
+      this.charts_[chart].showCrosshair(time);
+    }
+  }
+};
+
+/**
+ * Move the displayed time range of all charts forward or back in time.
+ * The window can't be moved past the current time.
+ * @param {number} fraction The fraction of the window's length by which to
+ *     move it. Negative values move the window back in time.
+ */
+ChartDisplay.prototype.panWindow = function(fraction) {
+  var range = this.getDisplayedRange_();
+  var shift = (range[1] - range[0]) * fraction;
+  shift = Math.min(shift, new Date().getTime() - range[1]);
+  if (fraction > 0 && shift <= 0) {
+    return;
+  }
+  this.windowUpdater(
+      new Date(range[0] + shift), new Date(range[1] + shift));
+};
+
+/**
+ * Zoom the displayed time range of all charts in or out around its center.
+ * The window can't extend past the current time.
+ * @param {number} factor The factor by which to multiply the window's
+ *     length. Values greater than 1 zoom out.
+ */
+ChartDisplay.prototype.zoomWindow = function(factor) {
+  var range = this.getDisplayedRange_();
+  var center = (range[0] + range[1]) / 2;
+  var halfLength = (range[1] - range[0]) * factor / 2;
+  var youngest = Math.min(center + halfLength, new Date().getTime());
+  this.windowUpdater(
+      new Date(youngest - 2 * halfLength), new Date(youngest));
+};
+
+/**
+ * Get the time range displayed on the charts, either the fixed time window
+ * or the selected timespan ending now.
+ * @return {Array.<number>} The start and end of the range in milliseconds.
+ * @private
+ */
+ChartDisplay.prototype.getDisplayedRange_ = function() {
+  if (this.timeWindow_) {
+    return [
+      new Date(this.timeWindow_.oldest).getTime(),
+      new Date(this.timeWindow_.youngest).getTime()
+    ];
   }
+  var now = new Date().getTime();
+  return [now - MonitoringApi.timespanToMillis(this.timespan_), now];
 };
 
 /**
@@ -195,7 +785,9 @@ ChartDisplay.prototype.labelUpdater = function(chartNumber) {
         query['labels'].push(label);
       }
     });
+    self.setAggregation_(chartNumber, self.readAggregation_(chartNumber));
     self.charts_[chartNumber].update(query);
+    self.saveDashboard();
   };
 };
 
@@ -207,162 +799,915 @@ ChartDisplay.prototype.labelUpdater = function(chartNumber) {
 ChartDisplay.prototype.reset = function(chartNumber) {
   var self = this;
 
-  return function() {
-    $('*[name="' + chartNumber + '"]').each(function() {
-      $(this).val('');
-    });
-    self.charts_[chartNumber].reset();
-  };
+  return function() {
+    $('*[name="' + chartNumber + '"]').each(function() {
+      $(this).val('');
+    });
+    $('#chartContainer' + chartNumber + ' .aggregation-method').val('');
+    $('#chartContainer' + chartNumber + ' .aggregation-group').prop(
+        'checked', false);
+    self.setAggregation_(chartNumber, null);
+    self.charts_[chartNumber].reset();
+    self.saveDashboard();
+  };
+};
+
+/**
+ * Read the aggregation entered in a chart's label form.
+ * @param {number} chartNumber The chart number.
+ * @return {Object} The aggregation settings, or null if the series aren't
+ *     aggregated.
+ * @private
+ */
+ChartDisplay.prototype.readAggregation_ = function(chartNumber) {
+  var container = '#chartContainer' + chartNumber;
+  var groupBy = [];
+  $(container + ' .aggregation-group:checked').each(function() {
+    groupBy.push($(this).val());
+  });
+  return new Aggregation({
+    method: $(container + ' .aggregation-method').val(),
+    groupBy: groupBy
+  }).getConfig();
+};
+
+/**
+ * Change the aggregation of a chart's series. The chart is redrawn when it
+ * next fetches its data.
+ * @param {number} chartNumber The chart number.
+ * @param {Object} aggregation The aggregation settings, or null to display
+ *     every series.
+ * @private
+ */
+ChartDisplay.prototype.setAggregation_ = function(chartNumber, aggregation) {
+  var chart = this.charts_[chartNumber];
+  var metric = this.findMetric_(chart.query.metric);
+  chart.aggregation = aggregation;
+  if (metric) {
+    chart.formatter = this.createFormatter_(metric, chart.getConfig());
+  }
+};
+
+/**
+ * Create the container for the chart and corresponding elements.
+ * @param {number} chartNumber The number of the chart.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createChartContainer_ = function(chartNumber) {
+  // Add the chart container.
+  var chartContainer = document.createElement('div');
+  $(chartContainer).attr('id', 'chartContainer' + chartNumber);
+  $(chartContainer).addClass('chartContainer');
+  return chartContainer;
+};
+
+/**
+ * Create the title for the chart.
+ * @param {string} title The title of the chart.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createChartTitle_ = function(title) {
+  // Add the chart title.
+  var chartTitle = document.createElement('h4');
+  $(chartTitle).text(title);
+  return chartTitle;
+};
+
+/**
+ * Create the error element for the chart.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createErrorElement_ = function() {
+  // Add the chart title.
+  var error = document.createElement('div');
+  $(error).addClass('error');
+  return error;
+};
+
+/**
+ * Create the HTML element for the actual chart.
+ * @param {number} chartNumber The number of the chart.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createChartElement_ = function(chartNumber) {
+  // Add the chart.
+  var chart = document.createElement('div');
+  $(chart).attr('id', 'chart' + chartNumber);
+  $(chart).addClass('chart');
+  return chart;
+};
+
+/**
+ * Create the frame around the chart element. The chart element is emptied
+ * whenever the chart is rebuilt, so the resize handles are added to the
+ * frame instead.
+ * @param {Element} chartElement The HTML element of the chart.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createChartFrame_ = function(chartElement) {
+  var frame = document.createElement('div');
+  $(frame).addClass('chart-frame');
+  $(frame).append(chartElement);
+  return frame;
+};
+
+/**
+ * Let the user resize a chart by dragging the edges of its frame. The chart
+ * is drawn again at the new size, which is saved in the dashboard.
+ * @param {Element} chartFrame The frame around the chart element.
+ * @param {Chart} chart The chart to resize.
+ * @private
+ */
+ChartDisplay.prototype.makeResizable_ = function(chartFrame, chart) {
+  var self = this;
+
+  $(chartFrame).resizable({
+    handles: 'e, s, se',
+    minWidth: 200,
+    minHeight: 100,
+    start: function() {
+      // Resize from the size of the graph, without the timeline below it.
+      var size = chart.getSize();
+      $(chartFrame).css({width: size.width, height: size.height});
+    },
+    stop: function(event, ui) {
+      chart.resize(Math.round(ui.size.width), Math.round(ui.size.height));
+      $(chartFrame).css({width: '', height: ''});
+      self.saveDashboard();
+    }
+  });
+};
+
+/**
+ * Create the HTML Element for the legend.
+ * @param {number} chartNumber The number of the chart.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createChartLegend_ = function(chartNumber) {
+  // Add the chart legend.
+  var chartLegend = document.createElement('div');
+  $(chartLegend).attr('id', 'legend' + chartNumber);
+  $(chartLegend).addClass('legend');
+  return chartLegend;
+};
+
+/**
+ * Create the label form.
+ * @param {number} chartNumber The number of the chart.
+ * @param {Object} metric Metric object returned from the API.
+ * @param {Array.<string>} labels Labels in the chart query, with syntax
+ *     'label==value', used to fill in the form (optional).
+ * @param {Object} aggregation The chart's aggregation, used to fill in the
+ *     form (optional).
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createChartLabelForm_ = function(
+    chartNumber, metric, labels, aggregation) {
+  var self = this;
+
+  // Create a dictionary mapping label name to the value in the query.
+  var labelValues = {};
+  for (var label in labels) {
+    var parts = labels[label].split('==');
+    labelValues[parts[0]] = parts.slice(1).join('==');
+  }
+
+  // Add the label form.
+  var formContainer = document.createElement('form');
+  $(formContainer).addClass('chartLabelForm');
+
+  // Display the labels specific to the metric by getting them from the API.
+  // If the request fails, the error is shown with a button to try again.
+  var loadLabels = function() {
+    self.api_.getDescriptors(metric.name, function(descriptors, error) {
+      $(formContainer).empty();
+      if (error) {
+        var errorAlert = document.createElement('div');
+        $(errorAlert).addClass('alert alert-danger');
+        $(errorAlert).text(MonitoringApi.ERRORS[error.reason] + ': ' +
+            error.message + ' ');
+        var retry = document.createElement('input');
+        $(retry).attr('type', 'button');
+        $(retry).val('Retry');
+        $(retry).click(loadLabels);
+        $(errorAlert).append(retry);
+        $(formContainer).append(errorAlert);
+        return;
+      }
+
+      // Create a dictionary mapping label name to all possible values
+      // using the metricDescriptors.list API endpoint.
+      var descriptorLists = {};
+      for (var descriptor in descriptors) {
+        for (var label in descriptors[descriptor].labels) {
+          if (!descriptorLists[label]) {
+            descriptorLists[label] = [];
+          }
+          var labelValue = descriptors[descriptor].labels[label];
+          if (descriptorLists[label].indexOf(labelValue) == -1) {
+            descriptorLists[label].push(labelValue);
+          }
+        }
+      }
+
+      // For each label, add an input with drop-down selector using all possible
+      // label values.
+      for (var label in metric.labels) {
+        var labelName = metric.labels[label].key;
+        self.addLabelInput_(
+            formContainer,
+            chartNumber,
+            labelName,
+            descriptorLists[labelName],
+            labelValues[labelName]);
+      }
+
+      // Distribution buckets can't be combined across series, so only other
+      // metrics can be aggregated.
+      if (metric.typeDescriptor.valueType != 'distribution') {
+        self.addAggregationInputs_(formContainer, metric, aggregation);
+      }
+
+      // Add Go and Reset buttons to the form.
+      var go = document.createElement('input');
+      $(go).attr('type', 'button');
+      $(go).val('Go');
+      $(go).click(self.labelUpdater(chartNumber));
+      $(formContainer).append(go);
+      var reset = document.createElement('input');
+      $(reset).attr('type', 'button');
+      $(reset).val('Reset');
+      $(reset).click(self.reset(chartNumber));
+      $(formContainer).append(reset);
+    });
+  };
+  loadLabels();
+
+  return formContainer;
+};
+
+/**
+ * Create the search icon.
+ * @param {Element} chartLabelForm The HTML element in which the chart label
+ *     form is displayed.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createSearchIcon_ = function(chartLabelForm) {
+  // Add the search icon.
+  var search = document.createElement('div');
+  $(search).addClass('search');
+
+  // When the search icon is clicked, hide or display the label form.
+  $(search).click(function() {
+    if ($(chartLabelForm).css('display') == 'none') {
+      $(chartLabelForm).fadeIn(500);
+    } else {
+      $(chartLabelForm).fadeOut(500);
+    }
+  });
+
+  return search;
+};
+
+/**
+ * Get the renderer to use for a metric when none is configured.
+ * @param {Object} metric Metric object returned from the API.
+ * @return {string} The name of the renderer.
+ * @private
+ */
+ChartDisplay.prototype.defaultRenderer_ = function(metric) {
+  if (metric.typeDescriptor.valueType == 'distribution') {
+    return 'heatmap';
+  }
+  return 'line';
+};
+
+/**
+ * Check whether a renderer can draw a metric. Distribution metrics are drawn
+ * as a heatmap or as lines, other metrics with any of Chart.RENDERERS.
+ * @param {Object} metric Metric object returned from the API.
+ * @param {string} renderer The name of the renderer.
+ * @return {boolean} True if the renderer can draw the metric.
+ * @private
+ */
+ChartDisplay.prototype.rendererFits_ = function(metric, renderer) {
+  if (metric.typeDescriptor.valueType == 'distribution') {
+    return renderer == 'heatmap' || renderer == 'line';
+  }
+  return Chart.RENDERERS.hasOwnProperty(renderer);
+};
+
+/**
+ * Create a data formatter based on the type of metric and the way it's
+ * displayed.
+ * @param {Object} metric Metric object returned from the API.
+ * @param {Object} config The chart's display settings, with syntax
+ *     {renderer: <renderer>, percentiles: [...], transform: {...}}. If there
+ *     are no percentiles, distribution metrics are displayed as one series
+ *     per bucket.
+ * @return {Function} A function for formatting the data.
+ * @private
+ */
+ChartDisplay.prototype.createFormatter_ = function(metric, config) {
+  if (metric.typeDescriptor.valueType == 'distribution') {
+    if (config.renderer == 'heatmap') {
+      return this.formatDataHeatmap_();
+    } else if (config.percentiles && config.percentiles.length) {
+      return this.formatDataPercentiles_(config.percentiles);
+    }
+    return this.formatDataDistribution_();
+  }
+
+  var format = this.formatDataSimple_(
+      metric.typeDescriptor.valueType == 'double' ?
+      'doubleValue' : 'int64Value');
+  var transform = new Transform(config.transform);
+  var aggregation = new Aggregation(config.aggregation);
+  return function(data) {
+    return aggregation.apply(transform.apply(format(data)));
+  };
+};
+
+/**
+ * Create the selector for the way a distribution metric is displayed: as a
+ * heatmap, as percentile series or as one series per bucket. The selector
+ * is hidden for other metrics.
+ * @param {Chart} chart The chart whose display to select.
+ * @param {Object} metric Metric object returned from the API.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createDistributionSelect_ = function(chart, metric) {
+  var self = this;
+
+  var container = document.createElement('div');
+  $(container).addClass('distribution-select');
+  if (metric.typeDescriptor.valueType != 'distribution') {
+    $(container).css('display', 'none');
+    return container;
+  }
+
+  var select = document.createElement('select');
+  $(select).append('<option value="heatmap">Heatmap</option>');
+  $(select).append('<option value="percentiles">Percentiles</option>');
+  $(select).append('<option value="buckets">Line per bucket</option>');
+  $(container).append(select);
+
+  // The percentiles to display, as a comma separated list.
+  var percentileInput = document.createElement('input');
+  $(percentileInput).attr('type', 'text');
+  $(percentileInput).attr('title', 'Percentiles, separated by commas');
+  $(percentileInput).addClass('percentiles');
+  $(container).append(percentileInput);
+
+  var showView = function() {
+    var view = 'buckets';
+    if (chart.renderer == 'heatmap') {
+      view = 'heatmap';
+    } else if (chart.percentiles.length) {
+      view = 'percentiles';
+    }
+    $(select).val(view);
+    $(percentileInput).val(chart.percentiles.join(', '));
+    $(percentileInput).css(
+        'display', view == 'percentiles' ? 'inline-block' : 'none');
+  };
+
+  var applyView = function(renderer, percentiles) {
+    chart.percentiles = percentiles;
+    chart.setRenderer(renderer, self.createFormatter_(
+        metric, {renderer: renderer, percentiles: percentiles}));
+    showView();
+    self.saveDashboard();
+  };
+
+  $(select).change(function() {
+    var view = $(this).val();
+    if (view == 'heatmap') {
+      applyView('heatmap', []);
+    } else if (view == 'percentiles') {
+      applyView('line', self.defaultPercentiles_);
+    } else {
+      applyView('line', []);
+    }
+  });
+
+  $(percentileInput).change(function() {
+    var percentiles = [];
+    var values = $(this).val().split(',');
+    for (var value in values) {
+      var percentile = parseFloat(values[value]);
+      if (percentile > 0 && percentile <= 100) {
+        percentiles.push(percentile);
+      }
+    }
+    if (!percentiles.length) {
+      alert('Enter percentiles between 0 and 100, separated by commas.');
+      showView();
+      return;
+    }
+    applyView(chart.renderer, percentiles);
+  });
+
+  showView();
+  return container;
+};
+
+/**
+ * Create the renderer selector. The selector is hidden for distribution
+ * metrics, which have their own selector.
+ * @param {Chart} chart The chart whose renderer to select.
+ * @param {Object} metric Metric object returned from the API.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createRendererSelect_ = function(chart, metric) {
+  var self = this;
+
+  var select = document.createElement('select');
+  $(select).addClass('renderer-select');
+  if (metric.typeDescriptor.valueType == 'distribution') {
+    $(select).css('display', 'none');
+    return select;
+  }
+  for (var renderer in Chart.RENDERERS) {
+    var option = document.createElement('option');
+    $(option).attr('value', renderer);
+    $(option).text(Chart.RENDERERS[renderer]);
+    $(select).append(option);
+  }
+  $(select).val(chart.renderer);
+
+  $(select).change(function() {
+    chart.setRenderer($(this).val());
+    self.saveDashboard();
+  });
+  return select;
+};
+
+/**
+ * Create the selector for the transform applied to a metric's values, and
+ * the unit to convert them to. The selector is hidden for distribution
+ * metrics.
+ * @param {Chart} chart The chart whose transform to select.
+ * @param {Object} metric Metric object returned from the API.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createTransformSelect_ = function(chart, metric) {
+  var self = this;
+
+  var container = document.createElement('div');
+  $(container).addClass('transform-select');
+  if (metric.typeDescriptor.valueType == 'distribution') {
+    $(container).css('display', 'none');
+    return container;
+  }
+
+  var typeSelect = document.createElement('select');
+  for (var type in Transform.TYPES) {
+    var option = document.createElement('option');
+    $(option).attr('value', type);
+    $(option).text(Transform.TYPES[type]);
+    $(typeSelect).append(option);
+  }
+  $(typeSelect).val(chart.transform.type);
+  $(container).append(typeSelect);
+
+  var unitSelect = document.createElement('select');
+  for (var unit in Transform.UNITS) {
+    var option = document.createElement('option');
+    $(option).attr('value', unit);
+    $(option).text(Transform.UNITS[unit].text);
+    $(unitSelect).append(option);
+  }
+  $(unitSelect).val(chart.transform.unit);
+  $(container).append(unitSelect);
+
+  var unitText = document.createElement('span');
+  $(unitText).addClass('transform-unit');
+  $(unitText).text(new Transform(chart.transform).describeUnit());
+  $(container).append(unitText);
+
+  $(container).find('select').change(function() {
+    chart.transform = {type: $(typeSelect).val(), unit: $(unitSelect).val()};
+    $(unitText).text(new Transform(chart.transform).describeUnit());
+    chart.setRenderer(chart.renderer,
+        self.createFormatter_(metric, chart.getConfig()));
+    self.saveDashboard();
+  });
+  return container;
 };
 
 /**
- * Create the container for the chart and corresponding elements.
- * @param {number} chartNumber The number of the chart.
+ * Create the selector for the earlier data drawn over the chart for
+ * comparison. The comparison is ignored while the chart is a heatmap or
+ * stacked.
+ * @param {Chart} chart The chart to compare.
  * @return {Element} An HTML Element.
  * @private
  */
-ChartDisplay.prototype.createChartContainer_ = function(chartNumber) {
-  // Add the chart container.
-  var chartContainer = document.createElement('div');
-  $(chartContainer).attr('id', 'chartContainer' + chartNumber);
-  $(chartContainer).addClass('chartContainer');
-  return chartContainer;
+ChartDisplay.prototype.createCompareSelect_ = function(chart) {
+  var self = this;
+
+  var select = document.createElement('select');
+  $(select).addClass('compare-select');
+  $(select).attr('title', 'Compare with earlier data');
+  for (var compare in this.compareOptions_) {
+    var option = document.createElement('option');
+    $(option).attr('value', compare);
+    $(option).text(this.compareOptions_[compare]);
+    $(select).append(option);
+  }
+  $(select).val(chart.compare || '');
+
+  $(select).change(function() {
+    chart.setCompare($(this).val());
+    self.saveDashboard();
+  });
+  return select;
 };
 
 /**
- * Create the title for the chart.
- * @param {string} title The title of the chart.
+ * Create the input for the other projects whose data is drawn on the chart,
+ * as a comma separated list of project IDs.
+ * @param {Chart} chart The chart whose projects to edit.
  * @return {Element} An HTML Element.
  * @private
  */
-ChartDisplay.prototype.createChartTitle_ = function(title) {
-  // Add the chart title.
-  var chartTitle = document.createElement('h4');
-  $(chartTitle).text(title);
-  return chartTitle;
+ChartDisplay.prototype.createProjectsInput_ = function(chart) {
+  var self = this;
+
+  var input = document.createElement('input');
+  $(input).attr('type', 'text');
+  $(input).addClass('projects-input');
+  $(input).attr('placeholder', 'Other projects');
+  $(input).attr('title', 'Other projects to show, separated by commas');
+  $(input).val(chart.projects.join(', '));
+
+  $(input).change(function() {
+    var projects = [];
+    var values = $(this).val().split(',');
+    for (var value in values) {
+      var project = $.trim(values[value]);
+      if (project && project != self.api_.projectId &&
+          projects.indexOf(project) == -1) {
+        projects.push(project);
+      }
+    }
+    $(this).val(projects.join(', '));
+    chart.setProjects(projects);
+    self.saveDashboard();
+  });
+  return input;
 };
 
 /**
- * Create the error element for the chart.
+ * Create the selector for downloading the data drawn on the chart, or an
+ * image of the graph. The selector goes back to its label once the file is
+ * downloaded.
+ * @param {Chart} chart The chart to export.
+ * @param {Object} metric Metric object returned from the API.
  * @return {Element} An HTML Element.
  * @private
  */
-ChartDisplay.prototype.createErrorElement_ = function() {
-  // Add the chart title.
-  var error = document.createElement('div');
-  $(error).addClass('error');
-  return error;
+ChartDisplay.prototype.createExportSelect_ = function(chart, metric) {
+  var select = document.createElement('select');
+  $(select).addClass('export-select');
+  $(select).attr('title', 'Download the chart');
+  $(select).append('<option value="">Export</option>');
+  for (var format in ChartExport.FORMATS) {
+    var option = document.createElement('option');
+    $(option).attr('value', format);
+    $(option).text(ChartExport.FORMATS[format]);
+    $(select).append(option);
+  }
+
+  $(select).change(function() {
+    var format = $(this).val();
+    $(this).val('');
+    if (!format) {
+      return;
+    }
+    var name = metric.name.split('/').pop() + '-' +
+        new Date().toISOString().replace(/[:.]/g, '-');
+    new ChartExport(chart, metric.description).download(format, name);
+  });
+  return select;
 };
 
 /**
- * Create the HTML element for the actual chart.
- * @param {number} chartNumber The number of the chart.
+ * Create the selector for the widget displaying the data instead of a graph,
+ * with the widget's options. Graph settings are hidden while a widget is
+ * displayed. The selector is hidden for distribution metrics, which are
+ * always graphs.
+ * @param {Chart} chart The chart whose widget to select.
+ * @param {Object} metric Metric object returned from the API.
+ * @param {Element} chartContainer The container of the chart.
  * @return {Element} An HTML Element.
  * @private
  */
-ChartDisplay.prototype.createChartElement_ = function(chartNumber) {
-  // Add the chart.
-  var chart = document.createElement('div');
-  $(chart).attr('id', 'chart' + chartNumber);
-  $(chart).addClass('chart');
-  return chart;
+ChartDisplay.prototype.createWidgetSelect_ = function(
+    chart, metric, chartContainer) {
+  var self = this;
+
+  var container = document.createElement('div');
+  $(container).addClass('widget-select');
+  if (metric.typeDescriptor.valueType == 'distribution') {
+    $(container).css('display', 'none');
+    return container;
+  }
+
+  var select = document.createElement('select');
+  $(select).append('<option value="">Graph</option>');
+  $(select).append('<option value="stat">Single stat</option>');
+  $(select).append('<option value="gauge">Gauge</option>');
+  $(select).append('<option value="table">Top N table</option>');
+  $(container).append(select);
+
+  // Add an input for each widget option, shown for the widgets using it.
+  var inputs = {};
+  var options = {min: 'Min', max: 'Max', limit: 'Rows'};
+  for (var option in options) {
+    inputs[option] = document.createElement('input');
+    $(inputs[option]).attr('type', 'text');
+    $(inputs[option]).attr('placeholder', options[option]);
+    $(inputs[option]).attr('title', options[option]);
+    $(container).append(inputs[option]);
+  }
+
+  var showWidget = function() {
+    var widget = chart.widget || {};
+    $(select).val(widget.type || '');
+    for (var option in inputs) {
+      $(inputs[option]).val(widget[option] !== undefined ? widget[option] : '');
+    }
+    $(inputs.min).toggle(widget.type == 'gauge');
+    $(inputs.max).toggle(widget.type == 'gauge');
+    $(inputs.limit).toggle(widget.type == 'table');
+    $(chartContainer).toggleClass('widget', !!widget.type);
+  };
+
+  $(container).find('select, input').change(function() {
+    var widget = null;
+    if ($(select).val()) {
+      widget = {type: $(select).val()};
+      for (var option in inputs) {
+        var value = parseFloat($(inputs[option]).val());
+        if (!isNaN(value) && (option != 'limit' || value > 0)) {
+          widget[option] = value;
+        }
+      }
+    }
+    chart.setWidget(widget);
+    showWidget();
+    self.saveDashboard();
+  });
+
+  showWidget();
+  return container;
 };
 
 /**
- * Create the HTML Element for the legend.
+ * Create the alert form, which lists the chart's alert rules and lets the
+ * user add and remove rules.
  * @param {number} chartNumber The number of the chart.
+ * @param {Chart} chart The chart whose rules to edit.
  * @return {Element} An HTML Element.
  * @private
  */
-ChartDisplay.prototype.createChartLegend_ = function(chartNumber) {
-  // Add the chart legend.
-  var chartLegend = document.createElement('div');
-  $(chartLegend).attr('id', 'legend' + chartNumber);
-  $(chartLegend).addClass('legend');
-  return chartLegend;
+ChartDisplay.prototype.createChartAlertForm_ = function(chartNumber, chart) {
+  var self = this;
+
+  var formContainer = document.createElement('form');
+  $(formContainer).addClass('chartAlertForm');
+
+  var ruleList = document.createElement('ul');
+  $(ruleList).addClass('alert-rules');
+  $(formContainer).append(ruleList);
+
+  // Display each rule with a button to remove it.
+  var renderRules = function() {
+    $(ruleList).empty();
+    for (var rule in chart.alertRules) {
+      var item = document.createElement('li');
+      $(item).text('Alert when any series ' +
+          AlertManager.describeRule(chart.alertRules[rule]) + ' ');
+      var remove = document.createElement('input');
+      $(remove).attr('type', 'button');
+      $(remove).val('Remove');
+      $(remove).click(removeRule(rule));
+      $(item).append(remove);
+      $(ruleList).append(item);
+    }
+  };
+
+  var rulesChanged = function() {
+    self.alertManager.clear(chartNumber);
+    chart.setAlertingSeries([]);
+    renderRules();
+    self.saveDashboard();
+  };
+
+  var removeRule = function(rule) {
+    return function() {
+      chart.alertRules.splice(rule, 1);
+      rulesChanged();
+    };
+  };
+
+  // Add inputs for a new rule.
+  var operator = document.createElement('select');
+  $(operator).addClass('operator');
+  $(operator).append('<option value=">">&gt;</option>');
+  $(operator).append('<option value="<">&lt;</option>');
+  var threshold = document.createElement('input');
+  $(threshold).attr('type', 'text');
+  $(threshold).attr('placeholder', 'threshold');
+  var duration = document.createElement('input');
+  $(duration).attr('type', 'text');
+  $(duration).addClass('duration');
+  $(duration).val('5');
+  var add = document.createElement('input');
+  $(add).attr('type', 'button');
+  $(add).val('Add');
+  $(add).click(function() {
+    var rule = {
+      operator: $(operator).val(),
+      threshold: parseFloat($(threshold).val()),
+      duration: parseFloat($(duration).val())
+    };
+    if (isNaN(rule.threshold) || isNaN(rule.duration) || rule.duration < 0) {
+      alert('Threshold and duration must be numbers.');
+      return;
+    }
+    chart.alertRules.push(rule);
+    self.alertManager.requestPermission();
+    rulesChanged();
+  });
+
+  var label = document.createElement('label');
+  $(label).text('Alert when any series ');
+  $(formContainer).append(label);
+  $(formContainer).append(operator);
+  $(formContainer).append(threshold);
+  var forLabel = document.createElement('label');
+  $(forLabel).text(' for ');
+  $(formContainer).append(forLabel);
+  $(formContainer).append(duration);
+  var minutesLabel = document.createElement('label');
+  $(minutesLabel).text(' minutes ');
+  $(formContainer).append(minutesLabel);
+  $(formContainer).append(add);
+
+  renderRules();
+  return formContainer;
 };
 
 /**
- * Create the label form.
- * @param {number} chartNumber The number of the chart.
- * @param {Object} metric Metric object returned from the API.
+ * Create the threshold form, which lists the chart's threshold lines and
+ * lets the user add and remove them.
+ * @param {Chart} chart The chart whose thresholds to edit.
  * @return {Element} An HTML Element.
  * @private
  */
-ChartDisplay.prototype.createChartLabelForm_ = function(chartNumber, metric) {
+ChartDisplay.prototype.createChartThresholdForm_ = function(chart) {
   var self = this;
 
-  // Add the label form.
   var formContainer = document.createElement('form');
-  $(formContainer).addClass('chartLabelForm');
+  $(formContainer).addClass('chartThresholdForm');
 
-  // Display the labels specific to the metric by getting them from the API.
-  this.api_.getDescriptors(metric.name, function(descriptors) {
+  var thresholdList = document.createElement('ul');
+  $(thresholdList).addClass('thresholds');
+  $(formContainer).append(thresholdList);
 
-    // Create a dictionary mapping label name to all possible values
-    // using the metricDescriptors.list API endpoint.
-    var descriptorLists = {};
-    for (var descriptor in descriptors) {
-      for (var label in descriptors[descriptor].labels) {
-        if (!descriptorLists[label]) {
-          descriptorLists[label] = [];
-        }
-        var labelValue = descriptors[descriptor].labels[label];
-        if (descriptorLists[label].indexOf(labelValue) == -1) {
-          descriptorLists[label].push(labelValue);
-        }
-      }
+  // Display each threshold with a button to remove it.
+  var renderThresholds = function() {
+    $(thresholdList).empty();
+    for (var threshold in chart.thresholds) {
+      var item = document.createElement('li');
+      var swatch = document.createElement('span');
+      $(swatch).addClass('swatch');
+      $(swatch).css('background-color', chart.thresholds[threshold].color);
+      $(item).append(swatch);
+      var text = document.createElement('span');
+      $(text).text((chart.thresholds[threshold].label || 'Threshold') + ': ' +
+          chart.thresholds[threshold].value + ' ');
+      $(item).append(text);
+      var remove = document.createElement('input');
+      $(remove).attr('type', 'button');
+      $(remove).val('Remove');
+      $(remove).click(removeThreshold(threshold));
+      $(item).append(remove);
+      $(thresholdList).append(item);
     }
+  };
+
+  var thresholdsChanged = function() {
+    chart.redraw();
+    renderThresholds();
+    self.saveDashboard();
+  };
+
+  var removeThreshold = function(threshold) {
+    return function() {
+      chart.thresholds.splice(threshold, 1);
+      thresholdsChanged();
+    };
+  };
 
-    // For each label, add an input with drop-down selector using all possible
-    // label values.
-    for (var label in metric.labels) {
-      var labelName = metric.labels[label].key;
-      self.addLabelInput_(
-          formContainer,
-          chartNumber,
-          labelName,
-          descriptorLists[labelName]);
-    }
-
-    // Add Go and Reset buttons to the form.
-    var go = document.createElement('input');
-    $(go).attr('type', 'button');
-    $(go).val('Go');
-    $(go).click(self.labelUpdater(chartNumber));
-    $(formContainer).append(go);
-    var reset = document.createElement('input');
-    $(reset).attr('type', 'button');
-    $(reset).val('Reset');
-    $(reset).click(self.reset(chartNumber));
-    $(formContainer).append(reset);
+  // Add inputs for a new threshold.
+  var label = document.createElement('input');
+  $(label).attr('type', 'text');
+  $(label).attr('placeholder', 'label');
+  var value = document.createElement('input');
+  $(value).attr('type', 'text');
+  $(value).attr('placeholder', 'value');
+  var color = document.createElement('input');
+  $(color).attr('type', 'color');
+  $(color).addClass('color');
+  $(color).val('#d9534f');
+  var add = document.createElement('input');
+  $(add).attr('type', 'button');
+  $(add).val('Add');
+  $(add).click(function() {
+    var threshold = {
+      value: parseFloat($(value).val()),
+      label: $(label).val(),
+      color: $(color).val()
+    };
+    if (isNaN(threshold.value)) {
+      alert('Threshold value must be a number.');
+      return;
+    }
+    chart.thresholds.push(threshold);
+    thresholdsChanged();
   });
 
+  $(formContainer).append(label);
+  $(formContainer).append(value);
+  $(formContainer).append(color);
+  $(formContainer).append(add);
+
+  renderThresholds();
   return formContainer;
 };
 
 /**
- * Create the search icon.
- * @param {Element} chartLabelForm The HTML element in which the chart label
- *     form is displayed.
+ * Create an icon that hides or displays a chart form when clicked.
+ * @param {string} className The CSS class of the icon.
+ * @param {string} title The tooltip of the icon.
+ * @param {string} text The text of the icon.
+ * @param {Element} form The HTML element in which the form is displayed.
  * @return {Element} An HTML Element.
  * @private
  */
-ChartDisplay.prototype.createSearchIcon_ = function(chartLabelForm) {
-  // Add the search icon.
-  var search = document.createElement('div');
-  $(search).addClass('search');
+ChartDisplay.prototype.createFormIcon_ = function(
+    className, title, text, form) {
+  // Add the icon.
+  var icon = document.createElement('div');
+  $(icon).addClass('form-icon ' + className);
+  $(icon).attr('title', title);
+  $(icon).text(text);
 
-  // When the search icon is clicked, hide or display the label form.
-  $(search).click(function() {
-    if ($(chartLabelForm).css('display') == 'none') {
-      $(chartLabelForm).fadeIn(500);
+  // When the icon is clicked, hide or display the form.
+  $(icon).click(function() {
+    if ($(form).css('display') == 'none') {
+      $(form).fadeIn(500);
     } else {
-      $(chartLabelForm).fadeOut(500);
+      $(form).fadeOut(500);
     }
   });
 
-  return search;
+  return icon;
+};
+
+/**
+ * Create the remove icon.
+ * @param {number} chartNumber The number of the chart.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+ChartDisplay.prototype.createRemoveIcon_ = function(chartNumber) {
+  // Add the remove icon.
+  var remove = document.createElement('button');
+  $(remove).attr('type', 'button');
+  $(remove).attr('title', 'Remove chart');
+  $(remove).addClass('close remove');
+  $(remove).text('x');
+
+  // When the remove icon is clicked, remove the chart from the page.
+  $(remove).click(this.removeChart(chartNumber));
+
+  return remove;
 };
 
 /**
@@ -371,10 +1716,11 @@ ChartDisplay.prototype.createSearchIcon_ = function(chartLabelForm) {
  * @param {number} chartNumber The chart number.
  * @param {string} label The text to display in the form label.
  * @param {Array.<string>} descriptors A list of values for the select menu.
+ * @param {string} value The initial value of the input (optional).
  * @private
  */
 ChartDisplay.prototype.addLabelInput_ = function(
-    formContainer, chartNumber, label, descriptors) {
+    formContainer, chartNumber, label, descriptors, value) {
   var formLabel = document.createElement('label');
   $(formLabel).text(label + ': ');
   $(formContainer).append(formLabel);
@@ -398,12 +1744,66 @@ ChartDisplay.prototype.addLabelInput_ = function(
   }
   $(input).attr('name', chartNumber);
   $(input).data('label', label);
+  if (value) {
+    $(input).val(value);
+  }
   $(formContainer).append(input);
 
   var lineBreak = document.createElement('br');
   $(formContainer).append(lineBreak);
 };
 
+/**
+ * Add the aggregation method selector and a group by checkbox for each of
+ * the metric's labels to the label form.
+ * @param {Element} formContainer The container for the form elements.
+ * @param {Object} metric Metric object returned from the API.
+ * @param {Object} aggregation The initial aggregation settings (optional).
+ * @private
+ */
+ChartDisplay.prototype.addAggregationInputs_ = function(
+    formContainer, metric, aggregation) {
+  aggregation = aggregation || {};
+
+  var methodLabel = document.createElement('label');
+  $(methodLabel).text('aggregate: ');
+  $(formContainer).append(methodLabel);
+
+  var method = document.createElement('select');
+  $(method).addClass('aggregation-method');
+  $(method).append('<option value="">--None--</option>');
+  for (var name in Aggregation.METHODS) {
+    var option = document.createElement('option');
+    $(option).attr('value', name);
+    $(option).text(name);
+    $(method).append(option);
+  }
+  $(method).val(aggregation.method || '');
+  $(formContainer).append(method);
+  $(formContainer).append(document.createElement('br'));
+
+  var groupLabel = document.createElement('label');
+  $(groupLabel).text('group by: ');
+  $(formContainer).append(groupLabel);
+
+  var groups = document.createElement('div');
+  $(groups).addClass('aggregation-groups');
+  var groupBy = aggregation.groupBy || [];
+  for (var label in metric.labels) {
+    var labelName = metric.labels[label].key;
+    var item = document.createElement('label');
+    var checkbox = document.createElement('input');
+    $(checkbox).attr('type', 'checkbox');
+    $(checkbox).addClass('aggregation-group');
+    $(checkbox).val(labelName);
+    $(checkbox).prop('checked', groupBy.indexOf(labelName) != -1);
+    $(item).append(checkbox);
+    $(item).append(document.createTextNode(' ' + labelName));
+    $(groups).append(item);
+  }
+  $(formContainer).append(groups);
+};
+
 /**
  * Format the data for display in the chart.
  * @return {Function} A function for formatting the data.
@@ -418,6 +1818,7 @@ ChartDisplay.prototype.formatDataSimple_ = function(valueKey) {
     // List is formatted as follows:
     // [{
     //   name: <instance-name|resource-id>,
+    //   labels: <timeseries-labels>,
     //   data: <data-points>,
     //   color: <color>
     // }, ...]
@@ -435,6 +1836,9 @@ ChartDisplay.prototype.formatDataSimple_ = function(valueKey) {
           'cloud.googleapis.com/resource_id'];
       }
 
+      // Keep the labels, used to aggregate the series.
+      formattedSeries.labels = data[timeseries].timeseriesDesc.labels;
+
       // Add the data to the series, formatted as a list of objects with syntax:
       // [{x: <time>, y: <value>},...].
       formattedSeries.data = [];
@@ -562,3 +1966,302 @@ ChartDisplay.prototype.formatDataDistribution_ = function() {
     return formattedData;
   };
 };
+
+/**
+ * Format distribution data for display as a heatmap. The bucket counts of
+ * all timeseries are added together, so the heatmap shows the distribution
+ * across all resources matching the query.
+ * @return {Function} A function for formatting the data.
+ * @private
+ */
+ChartDisplay.prototype.formatDataHeatmap_ = function() {
+  return function(data) {
+    // Create an object mapping distribution range to the bucket bounds and
+    // the total count at each time. Syntax:
+    // {
+    //   <distribution-range>: {
+    //     lower: <lower-bound>,
+    //     upper: <upper-bound>,
+    //     counts: {<time>: <count>, ...}
+    //   } ...
+    // }
+    var buckets = {};
+    var times = {};
+
+    for (var timeseries in data) {
+      for (var point in data[timeseries].points) {
+        var distribution = data[timeseries].points[point].distributionValue;
+        if (!distribution) {
+          continue;
+        }
+        var time = new Date(data[timeseries].points[point].end).getTime();
+        times[time] = true;
+
+        for (var bucket in distribution.buckets) {
+          var lower = distribution.buckets[bucket].lowerBound;
+          var upper = distribution.buckets[bucket].upperBound;
+          var range = lower + '-' + upper;
+          if (!buckets[range]) {
+            buckets[range] = {
+              lower: parseFloat(lower),
+              upper: parseFloat(upper),
+              counts: {}
+            };
+          }
+          buckets[range].counts[time] = (buckets[range].counts[time] || 0) +
+              parseInt(distribution.buckets[bucket].count);
+        }
+      }
+    }
+
+    // Rickshaw requires times in ascending order.
+    var sortedTimes = [];
+    for (var time in times) {
+      sortedTimes.push(parseInt(time));
+    }
+    sortedTimes.sort(function(a, b) {
+      return a - b;
+    });
+
+    // Create one series per bucket, from the lowest bucket to the highest,
+    // with a point at every time. Syntax:
+    // {
+    //   name: <distribution-range>,
+    //   lower: <lower-bound>,
+    //   upper: <upper-bound>,
+    //   data: <data-points>,
+    //   color: <color>
+    // }
+    var formattedData = [];
+    for (var range in buckets) {
+      var formattedSeries = {
+        name: range,
+        lower: buckets[range].lower,
+        upper: buckets[range].upper,
+        data: [],
+        color: '#08306b'
+      };
+      for (var time in sortedTimes) {
+        formattedSeries.data.push({
+          x: sortedTimes[time],
+          y: buckets[range].counts[sortedTimes[time]] || 0
+        });
+      }
+      formattedData.push(formattedSeries);
+    }
+    formattedData.sort(function(a, b) {
+      return a.lower - b.lower;
+    });
+    return formattedData;
+  };
+};
+
+/**
+ * Format distribution data as percentile and mean series. Each resource
+ * gets one series per percentile plus a mean series. Series of the same
+ * percentile share a color.
+ * @param {Array.<number>} percentiles The percentiles to compute, between 0
+ *     and 100.
+ * @return {Function} A function for formatting the data.
+ * @private
+ */
+ChartDisplay.prototype.formatDataPercentiles_ = function(percentiles) {
+  var self = this;
+
+  return function(data) {
+    // Apply a color to each statistic.
+    var statistics = [];
+    for (var percentile in percentiles) {
+      statistics.push('p' + percentiles[percentile]);
+    }
+    statistics.push('mean');
+    var palette = new Rickshaw.Color.Palette({scheme: 'munin'});
+    var colorForStatistic = {};
+    for (var statistic in statistics) {
+      colorForStatistic[statistics[statistic]] = palette.color();
+    }
+
+    // Create a list of series with syntax:
+    // {
+    //   name: <(instance-name|resource-id) statistic>,
+    //   data: <data-points>,
+    //   legend: <statistic>,
+    //   color: <line-color>
+    // }
+    var formattedData = [];
+    for (var timeseries in data) {
+      var labels = data[timeseries].timeseriesDesc.labels;
+      var resourceName = labels['cloud.googleapis.com/resource_id'];
+      if (labels['cloud.googleapis.com/resource_type'] == 'instance') {
+        resourceName = labels['compute.googleapis.com/instance_name'];
+      }
+
+      var seriesForStatistic = {};
+      for (var statistic in statistics) {
+        var name = statistics[statistic];
+        seriesForStatistic[name] = {
+          name: resourceName + ' ' + name,
+          data: [],
+          legend: name,
+          color: colorForStatistic[name]
+        };
+        formattedData.push(seriesForStatistic[name]);
+      }
+
+      for (var point in data[timeseries].points) {
+        var distribution = data[timeseries].points[point].distributionValue;
+        if (!distribution) {
+          continue;
+        }
+        var buckets = self.parseBuckets_(distribution);
+        var time = new Date(data[timeseries].points[point].end).getTime();
+
+        // Skip points without any values, which have no percentiles.
+        var mean = ChartDisplay.bucketMean(buckets);
+        if (mean === null) {
+          continue;
+        }
+
+        // Since Rickshaw requires times in ascending order, and the API
+        // returns the data in descending order, add the value to the
+        // beginning of the list. Percentiles in the overflow bucket are only
+        // known to be above its lower bound, so the point is marked.
+        for (var percentile in percentiles) {
+          var value = percentiles[percentile];
+          var percentilePoint = {
+            x: time,
+            y: ChartDisplay.bucketPercentile(buckets, value)
+          };
+          if (ChartDisplay.percentileOverflows(buckets, value)) {
+            percentilePoint.lowerBound = true;
+          }
+          seriesForStatistic['p' + value].data.unshift(percentilePoint);
+        }
+        seriesForStatistic['mean'].data.unshift({x: time, y: mean});
+      }
+    }
+
+    // Remove series without points, such as resources without values.
+    return formattedData.filter(function(series) {
+      return series.data.length > 0;
+    });
+  };
+};
+
+/**
+ * Convert the buckets of a distribution value returned by the API to
+ * numbers, sorted from the lowest bucket to the highest. The underflow and
+ * overflow buckets, which are open on one side, become buckets of width zero
+ * at their finite bound, so that their values are counted.
+ * @param {Object} distribution Distribution value with syntax
+ *     {buckets: [{lowerBound: <bound>, upperBound: <bound>,
+ *                 count: <count>}, ...],
+ *      underflowBucket: {upperBound: <bound>, count: <count>},
+ *      overflowBucket: {lowerBound: <bound>, count: <count>}}.
+ * @return {Array.<Object>} Buckets with syntax
+ *     {lower: <bound>, upper: <bound>, count: <count>}, the overflow bucket
+ *     having overflow: true.
+ * @private
+ */
+ChartDisplay.prototype.parseBuckets_ = function(distribution) {
+  var parsedBuckets = [];
+  var buckets = distribution.buckets;
+  for (var bucket in buckets) {
+    parsedBuckets.push({
+      lower: parseFloat(buckets[bucket].lowerBound),
+      upper: parseFloat(buckets[bucket].upperBound),
+      count: parseInt(buckets[bucket].count)
+    });
+  }
+  parsedBuckets.sort(function(a, b) {
+    return a.lower - b.lower;
+  });
+
+  var underflow = distribution.underflowBucket;
+  if (underflow && parseInt(underflow.count)) {
+    var upper = parseFloat(underflow.upperBound);
+    parsedBuckets.unshift(
+        {lower: upper, upper: upper, count: parseInt(underflow.count)});
+  }
+  var overflow = distribution.overflowBucket;
+  if (overflow && parseInt(overflow.count)) {
+    var lower = parseFloat(overflow.lowerBound);
+    parsedBuckets.push({
+      lower: lower,
+      upper: lower,
+      count: parseInt(overflow.count),
+      overflow: true
+    });
+  }
+  return parsedBuckets;
+};
+
+/**
+ * Estimate a percentile from distribution buckets, assuming values are
+ * spread evenly within each bucket. A percentile in the overflow bucket is
+ * estimated as the bucket's lower bound.
+ * @param {Array.<Object>} buckets Buckets sorted from lowest to highest,
+ *     with syntax {lower: <bound>, upper: <bound>, count: <count>}.
+ * @param {number} percentile The percentile, between 0 and 100.
+ * @return {number} The estimated value, or null if the buckets are empty.
+ */
+ChartDisplay.bucketPercentile = function(buckets, percentile) {
+  var total = 0;
+  for (var bucket in buckets) {
+    total += buckets[bucket].count;
+  }
+  if (!total) {
+    return null;
+  }
+
+  var rank = total * percentile / 100;
+  var cumulative = 0;
+  for (var bucket in buckets) {
+    var count = buckets[bucket].count;
+    if (count && cumulative + count >= rank) {
+      var fraction = (rank - cumulative) / count;
+      return buckets[bucket].lower +
+          (buckets[bucket].upper - buckets[bucket].lower) * fraction;
+    }
+    cumulative += count;
+  }
+  return buckets[buckets.length - 1].upper;
+};
+
+/**
+ * Check whether a percentile falls in the overflow bucket, in which case
+ * its estimate is only a lower bound.
+ * @param {Array.<Object>} buckets Buckets sorted from lowest to highest, as
+ *     returned by parseBuckets_.
+ * @param {number} percentile The percentile, between 0 and 100.
+ * @return {boolean} True if the percentile is above the finite buckets.
+ */
+ChartDisplay.percentileOverflows = function(buckets, percentile) {
+  var last = buckets[buckets.length - 1];
+  if (!last || !last.overflow) {
+    return false;
+  }
+  var total = 0;
+  for (var bucket in buckets) {
+    total += buckets[bucket].count;
+  }
+  return total * percentile / 100 > total - last.count;
+};
+
+/**
+ * Estimate the mean from distribution buckets, using the middle of each
+ * bucket.
+ * @param {Array.<Object>} buckets Buckets with syntax
+ *     {lower: <bound>, upper: <bound>, count: <count>}.
+ * @return {number} The estimated mean, or null if the buckets are empty.
+ */
+ChartDisplay.bucketMean = function(buckets) {
+  var total = 0;
+  var sum = 0;
+  for (var bucket in buckets) {
+    total += buckets[bucket].count;
+    sum += buckets[bucket].count *
+        (buckets[bucket].lower + buckets[bucket].upper) / 2;
+  }
+  return total ? sum / total : null;
+};
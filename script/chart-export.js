@@ -0,0 +1,359 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Exports the data and image of a chart as files.
+ */
+
+/**
+ * The ChartExport class converts a chart's data to CSV or JSON and its
+ * graph, with a title, time axis and legend, to a standalone SVG or PNG
+ * image, for pasting into documents and spreadsheets.
+ * @constructor
+ * @param {Chart} chart The chart to export.
+ * @param {string} title The title of the chart.
+ */
+var ChartExport = function(chart, title) {
+  /**
+   * Chart to export.
+   * @type {Chart}
+   * @private
+   */
+  this.chart_ = chart;
+
+  /**
+   * Title of the chart.
+   * @type {string}
+   * @private
+   */
+  this.title_ = title;
+
+  /**
+   * Height of the title in the image, in pixels.
+   * @type {number}
+   * @private
+   */
+  this.titleHeight_ = 30;
+
+  /**
+   * Height of the time axis in the image, in pixels.
+   * @type {number}
+   * @private
+   */
+  this.axisHeight_ = 25;
+
+  /**
+   * Height of each legend line in the image, in pixels.
+   * @type {number}
+   * @private
+   */
+  this.legendLineHeight_ = 18;
+};
+
+/**
+ * Export formats, mapped to the text displayed in the export selector.
+ * @type {Object.<string, string>}
+ */
+ChartExport.FORMATS = {
+  csv: 'Data as CSV',
+  json: 'Data as JSON',
+  svg: 'Image as SVG',
+  png: 'Image as PNG'
+};
+
+/**
+ * SVG style properties copied from the page's style sheets onto the
+ * exported image, which is displayed without them.
+ * @type {Array.<string>}
+ */
+ChartExport.STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-dasharray', 'opacity', 'font-family', 'font-size', 'font-weight',
+  'shape-rendering', 'display'
+];
+
+/**
+ * Export the chart in a format and download the file.
+ * @param {string} format One of ChartExport.FORMATS.
+ * @param {string} name The file name, without extension.
+ */
+ChartExport.prototype.download = function(format, name) {
+  var filename = name.replace(/[^\w.-]+/g, '-') + '.' + format;
+  if (format == 'csv') {
+    ChartExport.download(filename, 'text/csv', this.toCsv());
+  } else if (format == 'json') {
+    ChartExport.download(filename, 'application/json', this.toJson());
+  } else if (!this.canExportImage()) {
+    alert('Images can only be exported from graphs with data.');
+  } else if (format == 'svg') {
+    ChartExport.download(filename, 'image/svg+xml', this.toSvg());
+  } else if (format == 'png') {
+    this.toPng(function(blob) {
+      ChartExport.download(filename, 'image/png', blob);
+    });
+  }
+};
+
+/**
+ * Convert the chart's data to CSV, with one line per point. Every point is
+ * exported, even if the chart is downsampled.
+ * @return {string} The CSV document, with columns timestamp, series and
+ *     value.
+ */
+ChartExport.prototype.toCsv = function() {
+  var lines = ['timestamp,series,value'];
+  var data = this.chart_.getExportData();
+  for (var series in data) {
+    var name = ChartExport.escapeCsv_(data[series].name);
+    for (var point in data[series].data) {
+      lines.push([
+        new Date(data[series].data[point].x).toISOString(),
+        name,
+        data[series].data[point].y
+      ].join(','));
+    }
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Convert the chart's data to JSON. Every point is exported, even if the
+ * chart is downsampled.
+ * @return {string} The JSON document, with syntax
+ *     [{name: <name>, color: <color>, shifted: <boolean>,
+ *       data: [{x: <ms>, y: <value>}, ...]}, ...], where comparison series
+ *     have shifted: true.
+ */
+ChartExport.prototype.toJson = function() {
+  var data = this.chart_.getExportData().map(function(series) {
+    return {
+      name: series.name,
+      color: series.color,
+      shifted: !!series.shifted,
+      data: series.data.map(function(point) {
+        return {x: point.x, y: point.y};
+      })
+    };
+  });
+  return JSON.stringify(data, null, 2);
+};
+
+/**
+ * Check whether the chart has a graph to export as an image. Widgets and
+ * charts without data have none.
+ * @return {boolean} True if an image can be exported.
+ */
+ChartExport.prototype.canExportImage = function() {
+  return !this.chart_.widget &&
+      $(this.chart_.chartElement).children('svg').length > 0;
+};
+
+/**
+ * Draw the chart as a standalone SVG image: the title, the graph with its
+ * styles, the time axis and the legend.
+ * @return {string} The SVG document.
+ */
+ChartExport.prototype.toSvg = function() {
+  var svgNamespace = 'http://www.w3.org/2000/svg';
+  var size = this.chart_.getSize();
+  var legend = this.getLegend_();
+  var height = this.titleHeight_ + size.height + this.axisHeight_ +
+      legend.length * this.legendLineHeight_ + 10;
+
+  var svg = document.createElementNS(svgNamespace, 'svg');
+  var root = d3.select(svg)
+      .attr('xmlns', svgNamespace)
+      .attr('width', size.width)
+      .attr('height', height)
+      .style('font-family', 'Helvetica, Arial, sans-serif')
+      .style('font-size', '12px');
+  root.append('rect')
+      .attr('width', size.width)
+      .attr('height', height)
+      .style('fill', '#fff');
+  root.append('text')
+      .attr('x', 0)
+      .attr('y', 20)
+      .style('font-size', '16px')
+      .style('font-weight', 'bold')
+      .text(this.title_);
+
+  // Copy the graph with the styles the page applies to it.
+  var graph = $(this.chart_.chartElement).children('svg')[0];
+  var graphCopy = graph.cloneNode(true);
+  ChartExport.inlineStyles_(graph, graphCopy);
+  d3.select(graphCopy)
+      .attr('x', 0)
+      .attr('y', this.titleHeight_);
+  svg.appendChild(graphCopy);
+
+  // Rickshaw draws the time axis in HTML, so draw it again.
+  var domain = this.getTimeDomain_();
+  var axisY = this.titleHeight_ + size.height;
+  if (domain) {
+    var x = d3.time.scale()
+        .domain([new Date(domain[0]), new Date(domain[1])])
+        .range([0, size.width]);
+    var ticks = x.ticks(4);
+    var format = x.tickFormat(4);
+    for (var tick in ticks) {
+      root.append('line')
+          .attr('x1', x(ticks[tick]))
+          .attr('x2', x(ticks[tick]))
+          .attr('y1', axisY)
+          .attr('y2', axisY + 5)
+          .style('stroke', '#999');
+      root.append('text')
+          .attr('x', x(ticks[tick]))
+          .attr('y', axisY + 18)
+          .attr('text-anchor', 'middle')
+          .style('fill', '#555')
+          .text(format(ticks[tick]));
+    }
+  }
+
+  for (var line in legend) {
+    var y = axisY + this.axisHeight_ + line * this.legendLineHeight_;
+    root.append('rect')
+        .attr('x', 0)
+        .attr('y', y + 3)
+        .attr('width', 10)
+        .attr('height', 10)
+        .style('fill', legend[line].color);
+    root.append('text')
+        .attr('x', 16)
+        .attr('y', y + 12)
+        .style('fill', '#333')
+        .text(legend[line].text);
+  }
+
+  return new XMLSerializer().serializeToString(svg);
+};
+
+/**
+ * Draw the chart as a PNG image, from the SVG image.
+ * @param {Function} callback Function to call with the PNG image as a Blob.
+ */
+ChartExport.prototype.toPng = function(callback) {
+  var svg = this.toSvg();
+  var image = new Image();
+  image.onload = function() {
+    var canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    canvas.toBlob(callback, 'image/png');
+  };
+  image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+};
+
+/**
+ * Get the lines of the legend: one per visible series, or per legend entry
+ * for series sharing one. Heatmaps have a color scale instead. Like the
+ * time axis, the legend describes the series as drawn.
+ * @return {Array.<Object>} Lines with syntax {text: <text>, color: <color>}.
+ * @private
+ */
+ChartExport.prototype.getLegend_ = function() {
+  var legend = [];
+  if (this.chart_.renderer == 'heatmap') {
+    return legend;
+  }
+  var texts = [];
+  var data = this.chart_.data || [];
+  for (var series in data) {
+    var text = data[series].legend || data[series].name;
+    if (data[series].disabled || texts.indexOf(text) > -1) {
+      continue;
+    }
+    texts.push(text);
+    legend.push({text: text, color: data[series].color});
+  }
+  return legend;
+};
+
+/**
+ * Get the time range of the data drawn, which is the range of the X axis.
+ * Comparison series are drawn over the current times, so they don't extend
+ * it.
+ * @return {Array.<number>} The oldest and youngest times in milliseconds,
+ *     or null if there's no data.
+ * @private
+ */
+ChartExport.prototype.getTimeDomain_ = function() {
+  var times = [];
+  var data = this.chart_.data || [];
+  for (var series in data) {
+    var points = data[series].data;
+    if (points.length) {
+      times.push(points[0].x, points[points.length - 1].x);
+    }
+  }
+  return times.length ? d3.extent(times) : null;
+};
+
+/**
+ * Copy the computed styles of an SVG element and its descendants onto a
+ * copy of it.
+ * @param {Element} source The SVG element displayed on the page.
+ * @param {Element} copy The copy of the element.
+ * @private
+ */
+ChartExport.inlineStyles_ = function(source, copy) {
+  var style = window.getComputedStyle(source);
+  for (var property in ChartExport.STYLE_PROPERTIES) {
+    var name = ChartExport.STYLE_PROPERTIES[property];
+    copy.style.setProperty(name, style.getPropertyValue(name));
+  }
+  for (var i = 0; i < source.children.length; i++) {
+    ChartExport.inlineStyles_(source.children[i], copy.children[i]);
+  }
+};
+
+/**
+ * Quote a CSV field if it contains a comma, quote or line break.
+ * @param {string} value The field.
+ * @return {string} The escaped field.
+ * @private
+ */
+ChartExport.escapeCsv_ = function(value) {
+  value = String(value);
+  if (/[",\r\n]/.test(value)) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+};
+
+/**
+ * Let the user download a file.
+ * @param {string} filename The name of the file.
+ * @param {string} type The MIME type of the file.
+ * @param {string|Blob} content The content of the file.
+ */
+ChartExport.download = function(filename, type, content) {
+  var link = document.createElement('a');
+  var blob = content instanceof Blob ?
+      content : new Blob([content], {type: type});
+  var url = URL.createObjectURL(blob);
+  $(link).attr('href', url);
+  $(link).attr('download', filename);
+  $('body').append(link);
+  link.click();
+  $(link).remove();
+
+  // Give the browser time to start the download before releasing the URL.
+  window.setTimeout(function() {
+    URL.revokeObjectURL(url);
+  }, 1000);
+};
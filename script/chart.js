@@ -22,12 +22,30 @@
  * @param {Element} chartElement The HTML element in which to add the chart.
  * @param {Element} legendElement The HTML element in which to add the legend.
  * @param {Element} errorElement The HTML element in which to display an error.
- * @param {Object} api An instance of the MonitoringApi class.
+ * @param {Object} api An instance of the MonitoringApi class, or null for a
+ *     chart displaying data passed to setData, such as a snapshot.
  * @param {Object} query The query specific to this chart.
  * @param {Function} formatter Function to format the data.
+ * @param {Object} config Display settings for this chart (optional). For
+ *     example:
+ *     {
+ *       renderer: 'line',
+ *       layout: {width: 600, height: 400},
+ *       alerts: [{operator: '>', threshold: 100, duration: 5}],
+ *       thresholds: [{value: 250, label: 'SLO', color: '#d9534f'}],
+ *       percentiles: [50, 90, 99],
+ *       transform: {type: 'rate', unit: 'MB'},
+ *       aggregation: {method: 'sum',
+ *                     groupBy: ['cloud.googleapis.com/location']},
+ *       compare: '1w',
+ *       widget: {type: 'gauge', min: 0, max: 100},
+ *       projects: ['my-staging-project']
+ *     }
  */
 var Chart = function(
-    chartElement, legendElement, errorElement, api, query, formatter) {
+    chartElement, legendElement, errorElement, api, query, formatter, config) {
+  config = config || {};
+  var layout = config.layout || {};
 
   /**
    * Element in which to display the chart.
@@ -65,6 +83,92 @@ var Chart = function(
    */
   this.formatter = formatter;
 
+  /**
+   * Rickshaw renderer used to draw the chart.
+   * @type {string}
+   */
+  this.renderer = config.renderer || 'line';
+
+  /**
+   * Alert rules checked against the chart data. See AlertManager for the
+   * rule syntax.
+   * @type {Array.<Object>}
+   */
+  this.alertRules = config.alerts || [];
+
+  /**
+   * Horizontal threshold lines drawn on the chart, with syntax
+   * [{value: <y-value>, label: <text>, color: <css-color>}, ...].
+   * @type {Array.<Object>}
+   */
+  this.thresholds = config.thresholds || [];
+
+  /**
+   * Percentiles computed from the buckets of a distribution metric. Empty
+   * if the buckets are displayed as they are.
+   * @type {Array.<number>}
+   */
+  this.percentiles = config.percentiles || [];
+
+  /**
+   * Transform applied to the chart's series. See Transform for the syntax.
+   * @type {Object}
+   */
+  this.transform = config.transform || {type: 'raw', unit: ''};
+
+  /**
+   * Aggregation of the chart's series, or null to display every series. See
+   * Aggregation for the syntax.
+   * @type {Object}
+   */
+  this.aggregation = config.aggregation || null;
+
+  /**
+   * Offset, as a timespan such as '1d', of the earlier data drawn over the
+   * current data for comparison, or null if there's no comparison.
+   * @type {string}
+   */
+  this.compare = config.compare || null;
+
+  /**
+   * Widget displaying the data instead of a graph, with syntax
+   * {type: <'stat'|'gauge'|'table'>, <option>: <value>, ...}, or null to
+   * display a graph. See Chart.WIDGETS for the options of each type.
+   * @type {Object}
+   */
+  this.widget = config.widget || null;
+
+  /**
+   * Other projects queried along with the query's project, so that for
+   * example staging and production can be compared on one graph. Series
+   * are then named after their project.
+   * @type {Array.<string>}
+   */
+  this.projects = config.projects || [];
+
+  /**
+   * Widget object displaying the data, created on the first update.
+   * @type {Object}
+   * @private
+   */
+  this.widget_ = null;
+
+  /**
+   * True once the chart has been removed from the page. Data returned by
+   * the API for a destroyed chart is ignored.
+   * @type {boolean}
+   * @private
+   */
+  this.destroyed_ = false;
+
+  /**
+   * Namespace of the document event handlers of the zoom brush, unique to
+   * the chart so that other charts' handlers aren't removed with them.
+   * @type {string}
+   * @private
+   */
+  this.zoomNamespace_ = '.zoom' + Chart.count_++;
+
   /**
    * Rickshaw chart.
    * @type {Rickshaw.Graph}
@@ -91,14 +195,14 @@ var Chart = function(
    * @type {number}
    * @private
    */
-  this.chartHeight_ = 400;
+  this.chartHeight_ = layout.height || 400;
 
   /**
    * Chart width.
    * @type {number}
    * @private
    */
-  this.chartWidth_ = 600;
+  this.chartWidth_ = layout.width || 600;
 
   /**
    * Number of ticks on the x-axis.
@@ -107,7 +211,117 @@ var Chart = function(
    */
   this.numberTicks_ = 4;
 
-  this.update();
+  /**
+   * Function to call with the start and end dates of a time window selected
+   * by dragging across the chart.
+   * @type {Function}
+   */
+  this.onZoom = null;
+
+  /**
+   * Function to call with the time under the mouse, in milliseconds, when the
+   * mouse moves over the chart, or with null when it leaves the chart.
+   * @type {Function}
+   */
+  this.onHover = null;
+
+  /**
+   * Crosshair showing the values at the hovered time.
+   * @type {Crosshair}
+   * @private
+   */
+  this.crosshair_ = null;
+
+  /**
+   * Vertical position of the mouse over the chart in pixels, or null if the
+   * mouse isn't over this chart.
+   * @type {number}
+   * @private
+   */
+  this.hoverY_ = null;
+
+  /**
+   * Data last returned by the Monitoring API, before formatting. Kept so the
+   * chart can be redrawn with another renderer without querying the API.
+   * Each timeseries has a project field with the project it came from.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.rawData_ = null;
+
+  /**
+   * Caches of the timeseries of each project for the chart's query and for
+   * the comparison query, so that each update only fetches new data. Syntax:
+   *     {query: {<project-id>: <cache>, ...}, shifted: {...}}
+   * @type {Object.<string, Object.<string, TimeseriesCache>>}
+   * @private
+   */
+  this.caches_ = {query: {}, shifted: {}};
+
+  /**
+   * Data last returned by the Monitoring API for the comparison query,
+   * before formatting.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.shiftedRawData_ = null;
+
+  /**
+   * Number of points drawn and number of points in the data, with syntax
+   * {shown: <count>, total: <count>}, if the series were downsampled to fit
+   * the chart's width, or null if every point is drawn.
+   * @type {Object}
+   * @private
+   */
+  this.downsampled_ = null;
+
+  /**
+   * Function to call with the formatted data each time it's updated. Series
+   * drawn for comparison are not included. The data is at full resolution
+   * even if the chart draws it downsampled.
+   * @type {Function}
+   */
+  this.onData = null;
+
+  /**
+   * Rickshaw legend.
+   * @type {Rickshaw.Graph.Legend}
+   * @private
+   */
+  this.legend_ = null;
+
+  /**
+   * Names of the series for which an alert rule is firing.
+   * @type {Array.<string>}
+   * @private
+   */
+  this.alertingSeries_ = [];
+
+  /**
+   * Events to mark on the chart, with syntax
+   * {time: <ms>, description: <text>}.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.events_ = [];
+
+  /**
+   * Rickshaw annotator marking the events on the chart.
+   * @type {Rickshaw.Graph.Annotate}
+   * @private
+   */
+  this.annotator_ = null;
+
+  /**
+   * Element below the chart in which event markers are displayed.
+   * @type {Element}
+   * @private
+   */
+  this.timelineElement_ = null;
+
+  if (this.api_) {
+    this.update();
+  }
 };
 
 /**
@@ -125,6 +339,25 @@ Chart.prototype.update = function(query) {
   this.update_();
 };
 
+/**
+ * Update the chart with a new time range. The range replaces any existing
+ * timespan or time window in the query.
+ * @param {Object} range Either {timespan: <timespan>} for a range ending now
+ *     or {oldest: <ISO-date>, youngest: <ISO-date>} for a fixed window.
+ */
+Chart.prototype.setTimeRange = function(range) {
+  // Make a copy of the current query in case there's an error.
+  this.oldQuery_ = $.extend({}, this.query);
+
+  var query = $.extend({}, this.query);
+  delete query.timespan;
+  delete query.oldest;
+  delete query.youngest;
+  this.query = $.extend(query, range);
+
+  this.update_();
+};
+
 /**
  * Reset the chart by removing all query labels.
  */
@@ -134,87 +367,589 @@ Chart.prototype.reset = function() {
   this.update_();
 };
 
+/**
+ * Get the configuration of the chart for saving in a dashboard. The project
+ * is not included so that the configuration can be shared between projects.
+ * Neither is a fixed time window, which is part of the view rather than the
+ * dashboard.
+ * @return {Object} The chart configuration.
+ */
+Chart.prototype.getConfig = function() {
+  var query = $.extend(true, {}, this.query);
+  delete query.project;
+  delete query.oldest;
+  delete query.youngest;
+
+  return {
+    query: query,
+    renderer: this.renderer,
+    layout: {width: this.chartWidth_, height: this.chartHeight_},
+    alerts: $.extend(true, [], this.alertRules),
+    thresholds: $.extend(true, [], this.thresholds),
+    percentiles: this.percentiles.slice(),
+    transform: $.extend({}, this.transform),
+    aggregation: this.aggregation ? $.extend(true, {}, this.aggregation) : null,
+    compare: this.compare,
+    widget: this.widget ? $.extend({}, this.widget) : null,
+    projects: this.projects.slice()
+  };
+};
+
 /**
  * Run the API call to get new data with which to update the chart.
  * @private
  */
 Chart.prototype.update_ = function() {
   var self = this;
+  if (this.destroyed_ || !this.api_) {
+    return;
+  }
 
   // Call the API to get the new data for the chart.
-  this.api_.getData(this.query, function(data, response) {
-    // If there's no data, display an error message and revert to the old query.
-    if (response) {
-      var errorText = ['Query returned no results.'];
-      errorText.push('Query parameters:');
-      errorText.push(JSON.stringify(self.query));
-      errorText.push(JSON.stringify(response));
+  this.getData_(this.query, false, function(data, error) {
+    // A newer update draws the chart instead of a superseded one.
+    if (self.destroyed_ ||
+        (error && error.reason == TimeseriesCache.SUPERSEDED)) {
+      return;
+    }
+
+    // Requests that failed after their retries are tried again on the next
+    // update, but an invalid query is reverted to the old query.
+    if (error) {
+      var errorText = [MonitoringApi.ERRORS[error.reason] + ':'];
+      errorText.push(error.message);
+      if (error.reason == 'invalid') {
+        errorText.push('Query parameters:');
+        errorText.push(JSON.stringify(self.query));
+        self.query = self.oldQuery_;
+      }
       self.error_(errorText.join(' '));
+      return;
+    }
+
+    // If there's no data, display a message and revert to the old query.
+    if (!data.length) {
+      self.error_('Query returned no results. Query parameters: ' +
+          JSON.stringify(self.query), true);
       self.query = self.oldQuery_;
       return;
     }
 
-    // Format the data for display in the chart.
-    self.data = self.formatter(data);
+    self.rawData_ = data;
+    if (!self.canCompare_()) {
+      self.shiftedRawData_ = null;
+      self.draw_();
+      return;
+    }
 
-    // Create the chart if it doesn't exist. This is done the first time.
-    if (!self.chart_) {
-      self.create_(self.data);
+    // Fetch the same query at the earlier time. If there's no data then
+    // there's nothing to compare, which isn't an error.
+    self.getData_(self.shiftedQuery_(), true, function(shiftedData, error) {
+      if (self.destroyed_ ||
+          (error && error.reason == TimeseriesCache.SUPERSEDED)) {
+        return;
+      }
+      self.shiftedRawData_ = shiftedData;
+      self.draw_();
+    });
+  });
+};
 
-    } else {
-      // Boolean value set to true if a series is added or removed.
-      var updateLegend = false;
+/**
+ * Display data that wasn't returned by the API, such as the data saved in a
+ * snapshot. The data is passed through the chart's formatter.
+ * @param {Array.<Object>} data The data to display.
+ */
+Chart.prototype.setData = function(data) {
+  this.rawData_ = data;
+  this.shiftedRawData_ = null;
+  this.draw_();
+};
 
-      // Replace chart data series with new data.
-      var removeIndices = [];
-      for (var series in self.chart_.series) {
-        var exists = false;
-        for (var data in self.data) {
-          if (self.chart_.series[series].name == self.data[data].name) {
-            self.chart_.series[series].data = self.data[data].data;
-            exists = true;
-          } else if (series == 'active') {
-            // Rickshaw adds this field to the series data, so keep it.
-            exists = true;
-          }
+/**
+ * Get the series drawn on the chart, for saving in a snapshot. Fields added
+ * by Rickshaw are left out.
+ * @return {Array.<Object>} Series with syntax
+ *     [{name: <name>, color: <color>, data: [{x: <time>, y: <value>}, ...],
+ *       <field>: <value>, ...}, ...], where the optional fields are legend,
+ *     shifted, lower, upper and disabled.
+ */
+Chart.prototype.getSnapshotData = function() {
+  var fields = ['legend', 'shifted', 'lower', 'upper', 'disabled'];
+  return (this.data || []).map(function(series) {
+    var snapshotSeries = {
+      name: series.name,
+      color: series.color,
+      data: series.data.map(function(point) {
+        return {x: point.x, y: point.y};
+      })
+    };
+    for (var field in fields) {
+      if (series[fields[field]] !== undefined) {
+        snapshotSeries[fields[field]] = series[fields[field]];
+      }
+    }
+    return snapshotSeries;
+  });
+};
+
+/**
+ * Query the API for the chart's projects and combine the timeseries. Errors
+ * from the other projects are displayed, but don't prevent the chart's own
+ * project from being drawn.
+ * @param {Object} query The query for the chart's own project.
+ * @param {boolean} shifted True if the query is the comparison query.
+ * @param {Function} callback Function to call with the timeseries of all
+ *     projects, and with the error if the query failed for the chart's own
+ *     project.
+ * @private
+ */
+Chart.prototype.getData_ = function(query, shifted, callback) {
+  var self = this;
+  var projects = this.getProjects_();
+  var results = [];
+  var pending = projects.length;
+
+  // Keep the caches of the projects still queried.
+  var kind = shifted ? 'shifted' : 'query';
+  var caches = {};
+  for (var project in projects) {
+    caches[projects[project]] = this.caches_[kind][projects[project]] ||
+        new TimeseriesCache(this.api_);
+  }
+  this.caches_[kind] = caches;
+
+  var receive = function(index) {
+    return function(data, error) {
+      results[index] = {data: data, error: error};
+      pending--;
+      if (pending) {
+        return;
+      }
+
+      var combined = [];
+      var errors = [];
+      for (var result in results) {
+        if (results[result].error && result > 0 &&
+            results[result].error.reason != TimeseriesCache.SUPERSEDED) {
+          errors.push(projects[result] + ' (' +
+              MonitoringApi.ERRORS[results[result].error.reason] + ')');
         }
-        // If this series doesn't exist in the new data, keep note for later
-        // removal.
-        if (!exists) {
-          removeIndices.push(series);
-          updateLegend = true;
+        for (var timeseries in results[result].data) {
+          combined.push($.extend({}, results[result].data[timeseries], {
+            project: projects[result]
+          }));
         }
       }
-
-      // Remove any series that don't exist in the new data.
-      for (var index in removeIndices) {
-        self.chart_.series.splice(removeIndices[index]);
+      if (errors.length && !self.destroyed_) {
+        self.error_('Query failed for project ' + errors.join(', ') + '.');
+      } else if (!results[0].error && !shifted && !self.destroyed_) {
+        // The query works again, so earlier failures no longer apply.
+        self.clearError_();
       }
+      callback(combined, results[0].error);
+    };
+  };
+
+  for (var project in projects) {
+    caches[projects[project]].getData(
+        $.extend({}, query, {project: projects[project]}),
+        receive(project));
+  }
+};
+
+/**
+ * Get the projects queried for the chart: the query's project, followed by
+ * the other projects. Heatmaps have no room for other projects' cells.
+ * @return {Array.<string>} The project IDs.
+ * @private
+ */
+Chart.prototype.getProjects_ = function() {
+  if (this.renderer == 'heatmap') {
+    return [this.query.project];
+  }
+  var projects = [this.query.project];
+  for (var project in this.projects) {
+    if (projects.indexOf(this.projects[project]) == -1) {
+      projects.push(this.projects[project]);
+    }
+  }
+  return projects;
+};
+
+/**
+ * Change the other projects queried for the chart and fetch their data.
+ * @param {Array.<string>} projects The project IDs.
+ */
+Chart.prototype.setProjects = function(projects) {
+  this.projects = projects;
+  this.update_();
+};
+
+/**
+ * Format the data returned by the API. If it holds several projects, each
+ * project's series are formatted, transformed and aggregated separately and
+ * named after the project, so that for example the sum of each project is
+ * drawn.
+ * @param {Array.<Object>} rawData Timeseries returned by the API, each with
+ *     the project it came from.
+ * @return {Array.<Object>} The formatted series.
+ * @private
+ */
+Chart.prototype.format_ = function(rawData) {
+  var projects = this.getProjects_();
+  if (projects.length == 1) {
+    return this.formatter(rawData);
+  }
+
+  var formattedData = [];
+  // Give every series its own color, since each project's series were
+  // colored from the start of the palette.
+  var palette = new Rickshaw.Color.Palette({scheme: 'munin'});
+  for (var project in projects) {
+    var projectData = rawData.filter(function(timeseries) {
+      return timeseries.project == projects[project];
+    });
+    var projectSeries = this.formatter(projectData);
+    for (var series in projectSeries) {
+      var prefix = projects[project] + ': ';
+      formattedData.push($.extend({}, projectSeries[series], {
+        name: prefix + projectSeries[series].name,
+        legend: projectSeries[series].legend ?
+            prefix + projectSeries[series].legend : undefined,
+        // Series sharing a legend entry keep the color of the entry.
+        color: projectSeries[series].legend ?
+            projectSeries[series].color : palette.color()
+      }));
+    }
+  }
+  return formattedData;
+};
+
+/**
+ * Format the data last returned by the API and draw it on the chart.
+ * @private
+ */
+Chart.prototype.draw_ = function() {
+  var self = this;
+
+  // Format the data for display in the chart. The drawn series may be
+  // downsampled, but onData gets every point.
+  var fullData = this.formatData_();
+  this.data = this.downsample_(fullData);
 
-      // Find new data that doesn't exist in the series and add it.
+  // Create the chart if it doesn't exist. This is done the first time.
+  if (this.widget) {
+    this.renderWidget_();
+  } else if (!self.chart_) {
+    self.create_(self.data);
+
+  } else {
+    // Boolean value set to true if a series is added or removed.
+    var updateLegend = false;
+
+    // Replace chart data series with new data.
+    var removeIndices = [];
+    for (var series in self.chart_.series) {
+      var exists = false;
       for (var data in self.data) {
-        var exists = false;
-        for (var series in self.chart_.series) {
-          if (self.chart_.series[series].name == self.data[data].name) {
-            exists = true;
-          }
-        }
-        if (!exists) {
-          self.chart_.series.push(self.data[data]);
-          updateLegend = true;
+        if (self.chart_.series[series].name == self.data[data].name) {
+          self.chart_.series[series].data = self.data[data].data;
+          exists = true;
+        } else if (series == 'active') {
+          // Rickshaw adds this field to the series data, so keep it.
+          exists = true;
         }
       }
+      // If this series doesn't exist in the new data, keep note for later
+      // removal.
+      if (!exists) {
+        removeIndices.push(series);
+        updateLegend = true;
+      }
+    }
+
+    // Remove any series that don't exist in the new data. Remove from the
+    // end so that the remaining indices stay valid.
+    for (var index = removeIndices.length - 1; index >= 0; index--) {
+      self.chart_.series.splice(removeIndices[index], 1);
+    }
 
-      // If there was any change to the number of series, then update the
-      // legend by recreating it.
-      if (updateLegend) {
-        self.createLegend_();
+    // Find new data that doesn't exist in the series and add it.
+    for (var data in self.data) {
+      var exists = false;
+      for (var series in self.chart_.series) {
+        if (self.chart_.series[series].name == self.data[data].name) {
+          exists = true;
+        }
       }
+      if (!exists) {
+        self.chart_.series.push(self.data[data]);
+        updateLegend = true;
+      }
+    }
+
+    // The heatmap draws the series in order, from the lowest bucket up.
+    if (updateLegend && self.renderer == 'heatmap') {
+      self.chart_.series.sort(function(a, b) {
+        return a.lower - b.lower;
+      });
+    }
+
+    // If there was any change to the number of series, then update the
+    // legend by recreating it.
+    if (updateLegend) {
+      self.createLegend_();
+    }
+
+    // Update the chart.
+    self.fitThresholds_();
+    self.chart_.update();
+  }
+  this.styleAlerting_();
+  this.showDownsampled_();
+
+  if (this.onData) {
+    this.onData(fullData.filter(function(series) {
+      return !series.shifted;
+    }));
+  }
+};
 
-      // Update the chart.
-      self.chart_.update();
+/**
+ * Reduce the series to about one point per pixel of the chart's width with
+ * the LTTB algorithm, which keeps peaks and dips. Stacked series keep the
+ * points chosen for their total so that they stay aligned. Heatmaps and
+ * widgets use every point.
+ * @param {Array.<Object>} data The formatted series.
+ * @return {Array.<Object>} The downsampled series.
+ * @private
+ */
+Chart.prototype.downsample_ = function(data) {
+  this.downsampled_ = null;
+  if (this.widget || this.renderer == 'heatmap') {
+    return data;
+  }
+
+  var threshold = this.chartWidth_;
+  var total = 0;
+  var shown = 0;
+  var downsampledData = [];
+  if (Chart.STACKED_RENDERERS.indexOf(this.renderer) > -1 && data.length) {
+    var sums = data[0].data.map(function(point, index) {
+      return {
+        x: point.x,
+        y: d3.sum(data, function(series) { return series.data[index].y; })
+      };
+    });
+    var indexes = Downsample.lttb(sums, threshold);
+    for (var series in data) {
+      downsampledData.push($.extend({}, data[series], {
+        data: Downsample.select(data[series].data, indexes)
+      }));
     }
+  } else {
+    for (var series in data) {
+      var indexes = Downsample.lttb(data[series].data, threshold);
+      downsampledData.push($.extend({}, data[series], {
+        data: Downsample.select(data[series].data, indexes)
+      }));
+    }
+  }
+
+  for (var series in data) {
+    total += data[series].data.length;
+    shown += downsampledData[series].data.length;
+  }
+  if (shown == total) {
+    return data;
+  }
+  this.downsampled_ = {shown: shown, total: total};
+  return downsampledData;
+};
+
+/**
+ * Show a notice on the chart if its series were downsampled.
+ * @private
+ */
+Chart.prototype.showDownsampled_ = function() {
+  var notice = $(this.chartElement).children('.downsampled');
+  if (!this.downsampled_ || !this.chart_) {
+    notice.remove();
+    return;
+  }
+  if (!notice.length) {
+    notice = $(document.createElement('div'));
+    notice.addClass('downsampled');
+    $(this.chartElement).append(notice);
+  }
+  var format = d3.format(',');
+  notice.text('Downsampled');
+  notice.attr('title', 'Showing ' + format(this.downsampled_.shown) +
+      ' of ' + format(this.downsampled_.total) +
+      ' points. Zoom in to see every point.');
+};
+
+/**
+ * Format the data last returned by the API, adding the comparison series.
+ * @return {Array.<Object>} The formatted series.
+ * @private
+ */
+Chart.prototype.formatData_ = function() {
+  var data = this.format_(this.rawData_);
+  if (!this.widget && Chart.STACKED_RENDERERS.indexOf(this.renderer) > -1) {
+    return Aggregation.align(data);
+  }
+  if (!this.canCompare_() || !this.shiftedRawData_) {
+    return data;
+  }
+
+  // Move the earlier data onto the current time axis.
+  var offset = MonitoringApi.timespanToMillis(this.compare);
+  return data.concat(this.formatShifted_(data, offset));
+};
+
+/**
+ * Format the comparison data last returned by the API. Each series is named
+ * after how long ago it is and given the color of the current series it's
+ * compared to.
+ * @param {Array.<Object>} data The formatted current series.
+ * @param {number} offset Time added to the points in milliseconds.
+ * @return {Array.<Object>} The formatted comparison series.
+ * @private
+ */
+Chart.prototype.formatShifted_ = function(data, offset) {
+  var colors = {};
+  for (var series in data) {
+    colors[data[series].name] = data[series].color;
+  }
+  var shiftedData = this.format_(this.shiftedRawData_);
+  var formattedData = [];
+  for (var series in shiftedData) {
+    var shiftedSeries = shiftedData[series];
+    var points = [];
+    for (var point in shiftedSeries.data) {
+      points.push({
+        x: shiftedSeries.data[point].x + offset,
+        y: shiftedSeries.data[point].y
+      });
+    }
+    var suffix = ' (' + this.compare + ' ago)';
+    formattedData.push($.extend({}, shiftedSeries, {
+      name: shiftedSeries.name + suffix,
+      legend: shiftedSeries.legend ? shiftedSeries.legend + suffix : undefined,
+      data: points,
+      color: colors[shiftedSeries.name] || shiftedSeries.color,
+      shifted: true
+    }));
+  }
+  return formattedData;
+};
+
+/**
+ * Get the series of the chart at full resolution for exporting, unlike
+ * the data drawn, which may be downsampled. Comparison series keep their
+ * own times. Series hidden in the legend are marked disabled.
+ * @return {Array.<Object>} The formatted series.
+ */
+Chart.prototype.getExportData = function() {
+  if (!this.rawData_) {
+    return [];
+  }
+  var data = this.format_(this.rawData_);
+  if (this.canCompare_() && this.shiftedRawData_) {
+    data = data.concat(this.formatShifted_(data, 0));
+  }
+  var disabled = {};
+  (this.data || []).forEach(function(series) {
+    disabled[series.name] = series.disabled;
   });
+  data.forEach(function(series) {
+    series.disabled = !!disabled[series.name];
+  });
+  return data;
+};
+
+/**
+ * Check whether the chart draws comparison data. Heatmaps have no room for
+ * it, and stacking it on top of the current data would be misleading.
+ * @return {boolean} True if the comparison data is drawn.
+ * @private
+ */
+Chart.prototype.canCompare_ = function() {
+  return !!this.compare && !this.widget && this.renderer != 'heatmap' &&
+      Chart.STACKED_RENDERERS.indexOf(this.renderer) == -1;
+};
+
+/**
+ * Get the query for the comparison data: the chart's query moved back by
+ * the comparison offset.
+ * @return {Object} The query.
+ * @private
+ */
+Chart.prototype.shiftedQuery_ = function() {
+  var offset = MonitoringApi.timespanToMillis(this.compare);
+  var query = $.extend({}, this.query);
+  var youngest = query.youngest ?
+      new Date(query.youngest).getTime() : new Date().getTime();
+  query.youngest = new Date(youngest - offset).toISOString();
+  if (query.oldest) {
+    query.oldest = new Date(
+        new Date(query.oldest).getTime() - offset).toISOString();
+  }
+  return query;
+};
+
+/**
+ * Change the offset of the comparison data and fetch it.
+ * @param {string} compare The offset as a timespan such as '1d', or null to
+ *     remove the comparison.
+ */
+Chart.prototype.setCompare = function(compare) {
+  this.compare = compare || null;
+  this.update_();
+};
+
+/**
+ * Number of charts created, used to give each chart unique event namespaces.
+ * @type {number}
+ * @private
+ */
+Chart.count_ = 0;
+
+/**
+ * Renderers for metrics other than distributions, mapped to the text
+ * displayed in the renderer selector. Distribution metrics are drawn as a
+ * heatmap or as lines.
+ * @type {Object.<string, string>}
+ */
+Chart.RENDERERS = {
+  line: 'Line',
+  area: 'Stacked area',
+  bar: 'Stacked bar',
+  step: 'Step',
+  scatterplot: 'Scatter'
+};
+
+/**
+ * Renderers that stack the series. Every series must then have a point at
+ * the same times.
+ * @type {Array.<string>}
+ */
+Chart.STACKED_RENDERERS = ['area', 'bar'];
+
+/**
+ * Widgets that can display the data instead of a graph, keyed by type. The
+ * widget options are:
+ *     stat: none
+ *     gauge: {min: <value>, max: <value>}
+ *     table: {limit: <rows>}
+ * @type {Object.<string, Function>}
+ */
+Chart.WIDGETS = {
+  stat: StatWidget,
+  gauge: GaugeWidget,
+  table: TableWidget
 };
 
 /**
@@ -225,15 +960,35 @@ Chart.prototype.update_ = function() {
 Chart.prototype.create_ = function(data) {
   var self = this;
 
-  // Create and display the actual Rickshaw chart.
+  // Create and display the actual Rickshaw chart. Step charts are line
+  // charts with step interpolation.
+  var step = this.renderer == 'step';
   this.chart_ = new Rickshaw.Graph({
     element: this.chartElement,
-    renderer: 'line',
+    renderer: step ? 'line' : this.renderer,
+    interpolation: step ? 'step-after' : 'cardinal',
     width: this.chartWidth_,
     height: this.chartHeight_,
     series: data,
-    min: 'auto'
+    min: this.getDefaultMin_()
+  });
+
+  // Draw the thresholds each time the chart is rendered. Rickshaw removes
+  // everything in the SVG element before rendering the series. The heatmap
+  // legend shows the color scale, which changes with the data. Comparison
+  // series are drawn dashed.
+  this.chart_.onUpdate(function() {
+    self.chart_.series.forEach(function(series) {
+      if (series.path) {
+        d3.select(series.path).classed('shifted', !!series.shifted);
+      }
+    });
+    self.drawThresholds_();
+    if (self.renderer == 'heatmap') {
+      self.createLegend_();
+    }
   });
+  this.fitThresholds_();
   this.chart_.render();
 
   // Create a time fixture for the X axis.
@@ -259,23 +1014,453 @@ Chart.prototype.create_ = function(data) {
   };
   xAxis.render();
 
-  // Add the Y axis to the chart.
+  // Add the Y axis to the chart. Renderers like the heatmap, whose Y scale
+  // isn't the data value, format the Y axis themselves.
   var yAxis = new Rickshaw.Graph.Axis.Y({
     graph: this.chart_,
-    tickFormat: Rickshaw.Fixtures.Number.formatKMBT
+    tickFormat: function(y) {
+      if (self.chart_.renderer.formatY) {
+        return self.chart_.renderer.formatY(y);
+      }
+      return Rickshaw.Fixtures.Number.formatKMBT(y);
+    }
   });
   yAxis.render();
 
-  // Add hover state to the chart.
-  var hoverDetail = new Rickshaw.Graph.HoverDetail({
+  // Add a timeline below the chart on which to mark events.
+  this.timelineElement_ = document.createElement('div');
+  $(this.timelineElement_).addClass('timeline');
+  $(this.chartElement).append(this.timelineElement_);
+  this.annotator_ = new Rickshaw.Graph.Annotate({
     graph: this.chart_,
-    xFormatter: function(date) {
-      return self.stringifyDate_(date);
+    element: this.timelineElement_
+  });
+  this.drawEvents_();
+
+  // Add hover state to the chart. The crosshair is drawn on every chart at
+  // the hovered time, so pass the time to the onHover function if it's set.
+  this.crosshair_ = new Crosshair(this.chartElement, this.chart_,
+      function(date) {
+        return self.stringifyDate_(date);
+      });
+  $(this.chartElement).on('mousemove.chart', function(event) {
+    var offset = $(self.chartElement).offset();
+    var time = self.chart_.x.invert(event.pageX - offset.left);
+    self.hoverY_ = event.pageY - offset.top;
+    if (self.onHover) {
+      self.onHover(time);
+    } else {
+      self.showCrosshair(time);
+    }
+  });
+  $(this.chartElement).on('mouseleave.chart', function() {
+    self.hoverY_ = null;
+    if (self.onHover) {
+      self.onHover(null);
+    } else {
+      self.hideCrosshair();
     }
   });
 
   // Add the legend to the chart.
   this.createLegend_();
+
+  // Allow the user to zoom in by dragging across the chart.
+  this.createZoomBrush_();
+};
+
+/**
+ * Change the renderer of the chart. The chart is redrawn from the data
+ * already returned by the API, keeping the series hidden in the legend
+ * hidden.
+ * @param {string} renderer The name of the Rickshaw renderer, or 'step'.
+ * @param {Function} formatter Function to format the data for the renderer
+ *     (optional). Defaults to the current formatter.
+ */
+Chart.prototype.setRenderer = function(renderer, formatter) {
+  var compared = this.canCompare_();
+  var projectCount = this.getProjects_().length;
+  this.renderer = renderer;
+  if (formatter) {
+    this.formatter = formatter;
+  }
+  if (!this.chart_ || !this.rawData_) {
+    return;
+  }
+
+  this.reformat_();
+  this.rebuild_();
+
+  // Fetch the comparison data and other projects' data if the new renderer
+  // draws them.
+  if ((!compared && this.canCompare_()) ||
+      this.getProjects_().length > projectCount) {
+    this.update_();
+  }
+};
+
+/**
+ * Format the data again with the current settings, keeping the series
+ * hidden in the legend hidden.
+ * @private
+ */
+Chart.prototype.reformat_ = function() {
+  var disabled = {};
+  this.chart_.series.forEach(function(series) {
+    disabled[series.name] = series.disabled;
+  });
+  this.data = this.downsample_(this.formatData_());
+  this.data.forEach(function(series) {
+    series.disabled = !!disabled[series.name];
+  });
+};
+
+/**
+ * Remove the Rickshaw chart and its supporting elements and create them
+ * again from the current data.
+ * @private
+ */
+Chart.prototype.rebuild_ = function() {
+  $(this.chartElement).off('.chart');
+  $(this.chartElement).empty();
+  $(this.legendElement).empty();
+  this.chart_ = null;
+  this.legend_ = null;
+  this.annotator_ = null;
+  this.crosshair_ = null;
+  this.widget_ = null;
+
+  if (this.widget) {
+    this.renderWidget_();
+  } else {
+    this.create_(this.data);
+  }
+  this.styleAlerting_();
+  this.showDownsampled_();
+};
+
+/**
+ * Remove the chart from the page and stop updating it. Requests already
+ * sent to the API are ignored when they return.
+ */
+Chart.prototype.destroy = function() {
+  this.destroyed_ = true;
+  $(this.chartElement).off('.chart');
+  $(document).off(this.zoomNamespace_);
+  $(this.chartElement).empty();
+  $(this.legendElement).empty();
+  this.chart_ = null;
+  this.legend_ = null;
+  this.annotator_ = null;
+  this.crosshair_ = null;
+  this.widget_ = null;
+  this.data = null;
+  this.rawData_ = null;
+  this.shiftedRawData_ = null;
+  this.caches_ = {query: {}, shifted: {}};
+  this.onZoom = null;
+  this.onHover = null;
+  this.onData = null;
+};
+
+/**
+ * Display the chart's data with a widget instead of a graph.
+ * @param {Object} widget The widget settings, or null to display a graph.
+ */
+Chart.prototype.setWidget = function(widget) {
+  var compared = this.canCompare_();
+  this.widget = widget;
+  if (!this.rawData_) {
+    return;
+  }
+
+  this.data = this.downsample_(this.formatData_());
+  this.rebuild_();
+
+  // Fetch the comparison data if the graph draws it.
+  if (!compared && this.canCompare_()) {
+    this.update_();
+  }
+};
+
+/**
+ * Display the data with the chart's widget, creating the widget if needed.
+ * @private
+ */
+Chart.prototype.renderWidget_ = function() {
+  if (!this.widget_) {
+    $(this.chartElement).empty();
+    $(this.legendElement).empty();
+    this.widget_ = new Chart.WIDGETS[this.widget.type](
+        this.chartElement, this.widget);
+  }
+  this.widget_.render(this.data);
+};
+
+/**
+ * Get the size of the graph.
+ * @return {Object} The size in pixels, with syntax
+ *     {width: <width>, height: <height>}.
+ */
+Chart.prototype.getSize = function() {
+  return {width: this.chartWidth_, height: this.chartHeight_};
+};
+
+/**
+ * Change the size of the graph and draw it again.
+ * @param {number} width The new width in pixels.
+ * @param {number} height The new height in pixels.
+ */
+Chart.prototype.resize = function(width, height) {
+  this.chartWidth_ = width;
+  this.chartHeight_ = height;
+  if (this.chart_ && this.rawData_) {
+    // Downsample the series again to the new width.
+    this.reformat_();
+  }
+  if (this.chart_ || this.widget_) {
+    this.rebuild_();
+  }
+};
+
+/**
+ * Render the chart again with the current data and settings.
+ */
+Chart.prototype.redraw = function() {
+  if (this.chart_) {
+    this.fitThresholds_();
+    this.chart_.update();
+    this.styleAlerting_();
+  }
+};
+
+/**
+ * Extend the Y axis so that all thresholds are visible, above or below the
+ * data. Without thresholds the Y axis fits the data.
+ * @private
+ */
+Chart.prototype.fitThresholds_ = function() {
+  var defaultMin = this.getDefaultMin_();
+  if (!this.thresholds.length) {
+    delete this.chart_.max;
+    this.chart_.min = defaultMin;
+    return;
+  }
+
+  var max = -Infinity;
+  var lowest = Infinity;
+  for (var threshold in this.thresholds) {
+    max = Math.max(max, this.thresholds[threshold].value);
+    lowest = Math.min(lowest, this.thresholds[threshold].value);
+  }
+  // Stacked charts start at zero, other charts at their lowest point.
+  var min = defaultMin === 0 ? 0 : Infinity;
+  this.chart_.series.forEach(function(series) {
+    if (series.disabled) {
+      return;
+    }
+    for (var point in series.data) {
+      var y = series.data[point].y + (series.data[point].y0 || 0);
+      max = Math.max(max, y);
+      min = Math.min(min, y);
+    }
+  });
+  // Leave room above the highest threshold for its label.
+  this.chart_.max = max + Math.abs(max) * 0.05;
+  // Thresholds below the data, such as a negative rate, lower the Y axis.
+  this.chart_.min = lowest < min ?
+      lowest - Math.abs(lowest) * 0.05 : defaultMin;
+};
+
+/**
+ * Get the bottom of the Y axis used when no threshold is below the data.
+ * @return {number|string} 0 for stacked charts, which start at zero, or
+ *     'auto' to fit the data.
+ * @private
+ */
+Chart.prototype.getDefaultMin_ = function() {
+  return Chart.STACKED_RENDERERS.indexOf(this.renderer) > -1 ? 0 : 'auto';
+};
+
+/**
+ * Draw the threshold lines on the chart, labeled and with the area above
+ * each threshold shaded.
+ * @private
+ */
+Chart.prototype.drawThresholds_ = function() {
+  var graph = this.chart_;
+  var group = graph.vis.append('g').attr('class', 'thresholds');
+
+  for (var threshold in this.thresholds) {
+    var value = this.thresholds[threshold].value;
+    var color = this.thresholds[threshold].color || '#d9534f';
+    var y = graph.y(value);
+    if (isNaN(y) || y < 0 || y > graph.height) {
+      continue;
+    }
+
+    group.append('rect')
+        .attr('class', 'threshold-area')
+        .attr('x', 0)
+        .attr('y', 0)
+        .attr('width', graph.width)
+        .attr('height', y)
+        .style('fill', color);
+    group.append('line')
+        .attr('class', 'threshold-line')
+        .attr('x1', 0)
+        .attr('x2', graph.width)
+        .attr('y1', y)
+        .attr('y2', y)
+        .style('stroke', color);
+
+    var label = this.thresholds[threshold].label;
+    group.append('text')
+        .attr('class', 'threshold-label')
+        .attr('x', graph.width - 5)
+        .attr('y', y - 4)
+        .attr('text-anchor', 'end')
+        .style('fill', color)
+        .text((label ? label + ': ' : '') +
+            Rickshaw.Fixtures.Number.formatKMBT(value));
+  }
+};
+
+/**
+ * Set the events to mark on the chart.
+ * @param {Array.<Object>} events Events with syntax
+ *     {time: <ms>, description: <text>}.
+ */
+Chart.prototype.setEvents = function(events) {
+  this.events_ = events;
+  this.drawEvents_();
+};
+
+/**
+ * Mark the events on the chart with the Rickshaw annotator. Markers are
+ * displayed on the timeline, with the description shown on hover, and as a
+ * vertical line across the chart.
+ * @private
+ */
+Chart.prototype.drawEvents_ = function() {
+  if (!this.annotator_) {
+    return;
+  }
+
+  // Remove the existing markers. The annotator has no method to do this.
+  this.annotator_.data = {};
+  $(this.timelineElement_).empty();
+  $(this.chartElement).find('.annotation_line').remove();
+
+  for (var event in this.events_) {
+    // The annotator displays the content as HTML, so escape it.
+    var content = $('<div>').text(this.events_[event].description).html();
+    this.annotator_.add(this.events_[event].time, content);
+  }
+  this.annotator_.update();
+};
+
+/**
+ * Highlight the series for which an alert rule is firing.
+ * @param {Array.<string>} names Names of the alerting series.
+ */
+Chart.prototype.setAlertingSeries = function(names) {
+  this.alertingSeries_ = names;
+  this.styleAlerting_();
+};
+
+/**
+ * Apply the alerting style to the chart, its series and their legend lines.
+ * The style is applied again after each render because Rickshaw redraws the
+ * series paths.
+ * @private
+ */
+Chart.prototype.styleAlerting_ = function() {
+  var self = this;
+
+  $(this.chartElement).closest('.chartContainer').toggleClass(
+      'alerting', this.alertingSeries_.length > 0);
+  if (!this.chart_) {
+    return;
+  }
+
+  this.chart_.series.forEach(function(series) {
+    if (series.path) {
+      d3.select(series.path).classed(
+          'alerting', self.alertingSeries_.indexOf(series.name) > -1);
+    }
+  });
+  if (this.legend_) {
+    this.legend_.lines.forEach(function(line) {
+      $(line.element).toggleClass(
+          'alerting', self.alertingSeries_.indexOf(line.series.name) > -1);
+    });
+  }
+};
+
+/**
+ * Draw the crosshair and tooltip at the given time.
+ * @param {number} time The time in milliseconds.
+ */
+Chart.prototype.showCrosshair = function(time) {
+  if (this.crosshair_) {
+    this.crosshair_.show(time, this.hoverY_);
+  }
+};
+
+/**
+ * Hide the crosshair and tooltip.
+ */
+Chart.prototype.hideCrosshair = function() {
+  if (this.crosshair_) {
+    this.crosshair_.hide();
+  }
+};
+
+/**
+ * Let the user select a time window by dragging across the chart. The
+ * selected window is passed to the onZoom function.
+ * @private
+ */
+Chart.prototype.createZoomBrush_ = function() {
+  var self = this;
+
+  var brush = document.createElement('div');
+  $(brush).addClass('zoom-brush');
+  $(this.chartElement).append(brush);
+
+  $(this.chartElement).on('mousedown.chart', function(event) {
+    if (event.which != 1 || !self.onZoom) {
+      return;
+    }
+    event.preventDefault();
+
+    var left = $(self.chartElement).offset().left;
+    var start = Math.max(0, Math.min(event.pageX - left, self.chartWidth_));
+    var end = start;
+    $(brush).css({left: start, width: 0, display: 'block'});
+
+    $(document).on('mousemove' + self.zoomNamespace_, function(event) {
+      end = Math.max(0, Math.min(event.pageX - left, self.chartWidth_));
+      $(brush).css({
+        left: Math.min(start, end),
+        width: Math.abs(end - start)
+      });
+    });
+
+    $(document).on('mouseup' + self.zoomNamespace_, function() {
+      $(document).off(self.zoomNamespace_);
+      $(brush).css('display', 'none');
+
+      // Ignore clicks and very small drags.
+      if (Math.abs(end - start) < 5) {
+        return;
+      }
+      var oldest = self.chart_.x.invert(Math.min(start, end));
+      var youngest = self.chart_.x.invert(Math.max(start, end));
+      self.onZoom(new Date(oldest), new Date(youngest));
+    });
+  });
 };
 
 /**
@@ -304,11 +1489,17 @@ Chart.prototype.createTimeFixture_ = function() {
 Chart.prototype.createLegend_ = function() {
   $(this.legendElement).empty();
 
+  if (this.renderer == 'heatmap') {
+    this.createHeatmapLegend_();
+    return;
+  }
+
   // Add a legend to the chart.
   var legend = new Rickshaw.Graph.Legend({
     graph: this.chart_,
     element: this.legendElement
   });
+  this.legend_ = legend;
 
   // Update the render method in the legend to color-code series
   // according to the distribution range value rather than the series
@@ -387,6 +1578,40 @@ Chart.prototype.createLegend_ = function() {
     return line;
   };
   legend.render();
+  this.styleAlerting_();
+};
+
+/**
+ * Display the heatmap color scale as the legend.
+ * @private
+ */
+Chart.prototype.createHeatmapLegend_ = function() {
+  this.legend_ = null;
+
+  var color = this.chart_.renderer.colorScale();
+  var max = color.domain()[1];
+  var steps = 5;
+
+  var list = document.createElement('ul');
+  $(list).addClass('heatmap-legend');
+  for (var i = steps; i >= 0; i--) {
+    var count = max * i / steps;
+    var line = document.createElement('li');
+    var swatch = document.createElement('div');
+    $(swatch).addClass('swatch');
+    $(swatch).css('background-color', color(count));
+    $(line).append(swatch);
+    var label = document.createElement('span');
+    $(label).text(Math.round(count));
+    $(line).append(label);
+    $(list).append(line);
+  }
+
+  var title = document.createElement('div');
+  $(title).addClass('heatmap-legend-title');
+  $(title).text('Count');
+  $(this.legendElement).append(title);
+  $(this.legendElement).append(list);
 };
 
 /**
@@ -418,17 +1643,28 @@ Chart.prototype.stringifyDate_ = function(date) {
   return stringDate.join('');
 };
 
+/**
+ * Remove the error messages displayed for the chart.
+ * @private
+ */
+Chart.prototype.clearError_ = function() {
+  $(this.errorElement).empty();
+};
+
 /**
  * Display an error message for the chart.
  * @param {string} errorText An error message to display.
+ * @param {boolean} info True if the message is information, such as a
+ *     query matching no data, rather than an error (optional).
  * @private
  */
-Chart.prototype.error_ = function(errorText) {
+Chart.prototype.error_ = function(errorText, info) {
   var self = this;
 
   $(this.errorElement).empty();
   var error = document.createElement('div');
-  $(error).addClass('alert alert-danger alert-dismissable');
+  $(error).addClass('alert alert-dismissable');
+  $(error).addClass(info ? 'alert-info' : 'alert-danger');
   $(error).text(errorText);
   var close = document.createElement('button');
   $(close).attr('type', 'button');
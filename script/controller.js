@@ -44,12 +44,74 @@ var Controller = function(api, chartDisplay) {
    */
   this.chartDisplay_ = chartDisplay;
 
+  /**
+   * Badge showing the state of the connection to the API.
+   * @type {ApiStatus}
+   * @private
+   */
+  this.apiStatus_ = new ApiStatus(document.getElementById('api-status'));
+
   /**
    * Interval which updates charts with new data.
    * @type {Object}
    * @private
    */
   this.interval_ = null;
+
+  /**
+   * Maximum number of recently displayed projects to offer in the project
+   * switcher.
+   * @type {number}
+   * @private
+   */
+  this.maxRecentProjects_ = 5;
+
+  /**
+   * View state from the URL waiting to be displayed once the project's
+   * metrics are loaded.
+   * @type {ViewState}
+   * @private
+   */
+  this.pendingViewState_ = null;
+
+  /**
+   * Preset time windows. Each preset's range function returns the start
+   * and end of the window given the current time.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.timeWindowPresets_ = [
+    {name: 'Today', range: function(now) {
+      return [Controller.startOfDay_(now, 0), now];
+    }},
+    {name: 'Yesterday', range: function(now) {
+      return [Controller.startOfDay_(now, -1), Controller.startOfDay_(now, 0)];
+    }},
+    {name: 'Last 7 days', range: function(now) {
+      return [Controller.startOfDay_(now, -7), now];
+    }},
+    {name: 'Previous week', range: function(now) {
+      var monday = -((now.getDay() + 6) % 7);
+      return [
+        Controller.startOfDay_(now, monday - 7),
+        Controller.startOfDay_(now, monday)
+      ];
+    }},
+    {name: 'Last 30 days', range: function(now) {
+      return [Controller.startOfDay_(now, -30), now];
+    }}
+  ];
+};
+
+/**
+ * Get midnight of a day relative to a date.
+ * @param {Date} date The reference date.
+ * @param {number} days Number of days to add to the reference date.
+ * @return {Date} Midnight at the start of the day.
+ * @private
+ */
+Controller.startOfDay_ = function(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
 };
 
 /**
@@ -61,10 +123,38 @@ Controller.prototype.init = function() {
 
   // Initialize OAuth 2.0 flow.
   window.setTimeout(this.api_.auth(this.checkProjectId_()), 1);
+  this.api_.onRequest = function(outcome, error, delay) {
+    self.apiStatus_.update(outcome, error, delay, self.api_.getStats());
+  };
+
+  // Keep the URL and time selector in sync with the view, and restore the
+  // view when the user navigates back or forward.
+  this.chartDisplay_.onDashboardChange = function(dashboard) {
+    self.pushViewState_(dashboard);
+    self.updateTimeSelector_();
+    self.renderDashboardTabs_();
+  };
+  $(window).on('popstate', this.restoreViewState_());
 
   // Initialize the buttons.
   $('#project-button').click(this.setProjectId_());
   $('#project-id').click(this.resetProjectId_());
+  $('#recent-projects').change(this.switchProject_());
+  this.chartDisplay_.initGrid();
+  this.chartDisplay_.metricBrowser.init();
+  this.chartDisplay_.alertManager.init();
+  this.chartDisplay_.eventManager.init();
+  $('#new-dashboard-button').click(this.newDashboard_());
+  $('#rename-dashboard-button').click(this.renameDashboard_());
+  $('#duplicate-dashboard-button').click(this.duplicateDashboard_());
+  $('#delete-dashboard-button').click(this.deleteDashboard_());
+  $('#export-button').click(this.exportDashboard_());
+  $('#snapshot-button').click(this.takeSnapshot_());
+  $('#import-button').click(function() {
+    $('#import-file').click();
+  });
+  $('#import-file').change(this.importDashboard_());
+  this.initTimeWindow_();
 
   // Initialize the slider and slider text.
   $('#timespan-value').text(this.chartDisplay_.timespanValues[
@@ -77,6 +167,12 @@ Controller.prototype.init = function() {
       var sliderSelection = $(this).slider('value');
       var timespan = self.chartDisplay_.timespanValues[sliderSelection];
       $('#timespan-value').text(timespan);
+
+      // Only update the charts if the user moved the slider. The slider is
+      // also moved to match the timespan of a loaded dashboard.
+      if (!event.originalEvent) {
+        return;
+      }
       self.chartDisplay_.rangeUpdater(timespan);
 
       // Reset the interval so that it doesn't update right after the
@@ -103,6 +199,15 @@ Controller.prototype.checkProjectId_ = function() {
   var self = this;
 
   return function() {
+    // A project ID in the URL takes precedence over the stored one.
+    var viewState = ViewState.fromHash(window.location.hash);
+    if (viewState && viewState.projectId) {
+      self.api_.projectId = viewState.projectId;
+      self.pendingViewState_ = viewState;
+      self.displayCharts_()();
+      return;
+    }
+
     if (typeof(Storage) !== 'undefined') {
       var projectId = localStorage.getItem('project-id');
       if (projectId) {
@@ -130,12 +235,7 @@ Controller.prototype.setProjectId_ = function() {
     var projectId = $('#project-id-field').val();
 
     if (projectId) {
-      // If storage exists, store the project ID locally so the user
-      // doesn't have to keep entering it every time they visit the page.
-      if (typeof(Storage) !== 'undefined') {
-        localStorage.setItem('project-id', projectId);
-      }
-
+      self.storeProjectId_(projectId);
       self.api_.projectId = projectId;
       self.displayCharts_()();
 
@@ -145,6 +245,96 @@ Controller.prototype.setProjectId_ = function() {
   }
 };
 
+/**
+ * Store the project ID in local storage, if it exists, so the user doesn't
+ * have to keep entering it every time they visit the page.
+ * @param {string} projectId The project ID.
+ * @private
+ */
+Controller.prototype.storeProjectId_ = function(projectId) {
+  if (typeof(Storage) !== 'undefined') {
+    localStorage.setItem('project-id', projectId);
+  }
+};
+
+/**
+ * Display another of the recent projects. This method is called when a
+ * project is selected in the project switcher.
+ * @return {Function} A function to switch project.
+ * @private
+ */
+Controller.prototype.switchProject_ = function() {
+  var self = this;
+  return function() {
+    var projectId = $(this).val();
+    if (!projectId || projectId == self.api_.projectId) {
+      return;
+    }
+    self.storeProjectId_(projectId);
+    self.api_.projectId = projectId;
+    self.displayCharts_()();
+  };
+};
+
+/**
+ * Get the projects displayed recently, most recent first.
+ * @return {Array.<string>} The project IDs.
+ * @private
+ */
+Controller.prototype.getRecentProjects_ = function() {
+  if (typeof(Storage) === 'undefined') {
+    return [];
+  }
+  try {
+    var projects = JSON.parse(localStorage.getItem('recent-projects'));
+    if ($.isArray(projects)) {
+      return projects;
+    }
+  } catch (e) {
+    // Ignore a corrupt list and start a new one.
+  }
+  // Earlier versions only stored the last project.
+  var projectId = localStorage.getItem('project-id');
+  return projectId ? [projectId] : [];
+};
+
+/**
+ * Move a project to the top of the recent projects and update the project
+ * switcher.
+ * @param {string} projectId The project ID.
+ * @private
+ */
+Controller.prototype.rememberProject_ = function(projectId) {
+  var projects = this.getRecentProjects_().filter(function(project) {
+    return project != projectId;
+  });
+  projects.unshift(projectId);
+  projects = projects.slice(0, this.maxRecentProjects_);
+  if (typeof(Storage) !== 'undefined') {
+    localStorage.setItem('recent-projects', JSON.stringify(projects));
+  }
+
+  // List the other recent projects in the switcher, and all of them as
+  // suggestions in the project form.
+  $('#recent-projects').empty();
+  $('#recent-project-list').empty();
+  $('#recent-projects').append('<option value="">Switch project</option>');
+  for (var project in projects) {
+    var suggestion = document.createElement('option');
+    $(suggestion).attr('value', projects[project]);
+    $('#recent-project-list').append(suggestion);
+    if (projects[project] == projectId) {
+      continue;
+    }
+    var option = document.createElement('option');
+    $(option).attr('value', projects[project]);
+    $(option).text(projects[project]);
+    $('#recent-projects').append(option);
+  }
+  $('#recent-projects').val('');
+  $('#recent-projects').css('display', projects.length > 1 ? '' : 'none');
+};
+
 /**
  * Allow the user to reset the project ID by showing the project ID form.
  * This method is called when the user clicks on the project ID.
@@ -170,8 +360,458 @@ Controller.prototype.displayCharts_ = function() {
   return function() {
     $('#project-form').css('display', 'none');
     $('#time-selector').css('display', 'inline');
+    $('#dashboard-controls').css('display', 'block');
     $('#project-display').css('display', 'inline');
     $('#project-id').text(self.api_.projectId);
-    self.api_.getMetrics(self.chartDisplay_.displayDefaultCharts());
+    self.rememberProject_(self.api_.projectId);
+    self.api_.getMetrics(function(metrics, error) {
+      // The requests were already retried, so let the user decide when to
+      // try again, such as once the network is back.
+      if (error) {
+        if (window.confirm('Could not load the metrics of project ' +
+            self.api_.projectId + ': ' + error.message + ' Try again?')) {
+          self.displayCharts_()();
+        }
+        return;
+      }
+      self.chartDisplay_.displayDefaultCharts()(metrics);
+
+      // Display the view from the URL in place of the saved dashboard.
+      var fromUrl = !!self.pendingViewState_;
+      if (fromUrl) {
+        self.loadViewState_(self.pendingViewState_);
+        self.pendingViewState_ = null;
+      }
+      self.updateTimeSelector_();
+      self.renderDashboardTabs_();
+      self.pushViewState_(
+          self.chartDisplay_.getDashboard(),
+          fromUrl || !window.location.hash);
+    });
   };
 };
+
+/**
+ * Update the URL hash to match the displayed dashboard.
+ * @param {Dashboard} dashboard The displayed dashboard.
+ * @param {boolean} replace True to replace the current history entry rather
+ *     than add a new one.
+ * @private
+ */
+Controller.prototype.pushViewState_ = function(dashboard, replace) {
+  var hash = ViewState.fromDashboard(
+      this.api_.projectId,
+      dashboard,
+      this.chartDisplay_.getTimeWindow()).toHash();
+  if (hash == window.location.hash) {
+    return;
+  }
+  if (replace) {
+    window.history.replaceState(null, '', hash);
+  } else {
+    window.history.pushState(null, '', hash);
+  }
+};
+
+/**
+ * Restore the view from the URL hash. This method is called when the user
+ * navigates back or forward.
+ * @return {Function} A function to restore the view.
+ * @private
+ */
+Controller.prototype.restoreViewState_ = function() {
+  var self = this;
+  return function() {
+    var viewState = ViewState.fromHash(window.location.hash);
+    if (!viewState || !viewState.projectId) {
+      return;
+    }
+
+    // Switching project requires loading the project's metrics first.
+    if (viewState.projectId != self.api_.projectId) {
+      self.api_.projectId = viewState.projectId;
+      self.pendingViewState_ = viewState;
+      self.displayCharts_()();
+      return;
+    }
+
+    self.loadViewState_(viewState);
+    self.updateTimeSelector_();
+    self.renderDashboardTabs_();
+  };
+};
+
+/**
+ * Display the dashboard described by a view state. Chart settings that
+ * aren't in the view state are taken from the saved dashboard with the same
+ * title.
+ * @param {ViewState} viewState The view state.
+ * @private
+ */
+Controller.prototype.loadViewState_ = function(viewState) {
+  var base = this.chartDisplay_.dashboardStore.get(viewState.title) ||
+      this.chartDisplay_.getDashboard();
+  this.chartDisplay_.loadDashboard(
+      viewState.toDashboard(base), viewState.timeWindow);
+};
+
+/**
+ * Display a tab in the navigation bar for each of the project's dashboards.
+ * @private
+ */
+Controller.prototype.renderDashboardTabs_ = function() {
+  var self = this;
+
+  var switchTo = function(title) {
+    return function(event) {
+      event.preventDefault();
+      if (title != self.chartDisplay_.getTitle()) {
+        self.alertMissingMetrics_(self.chartDisplay_.switchDashboard(title));
+      }
+    };
+  };
+
+  var titles = this.chartDisplay_.dashboardStore.getTitles();
+  if (titles.indexOf(this.chartDisplay_.getTitle()) == -1) {
+    // The displayed dashboard, for example from a shared URL, isn't saved.
+    titles.push(this.chartDisplay_.getTitle());
+  }
+  $('#dashboard-tabs').empty();
+  for (var title in titles) {
+    var item = document.createElement('li');
+    if (titles[title] == this.chartDisplay_.getTitle()) {
+      $(item).addClass('active');
+    }
+    var link = document.createElement('a');
+    $(link).attr('href', '#');
+    $(link).text(titles[title]);
+    $(link).click(switchTo(titles[title]));
+    $(item).append(link);
+    $('#dashboard-tabs').append(item);
+  }
+};
+
+/**
+ * Ask the user for a dashboard title that no other dashboard has.
+ * @param {string} message The message to display.
+ * @param {string} value The initial title.
+ * @return {string} The title, or null if the user cancelled.
+ * @private
+ */
+Controller.prototype.promptTitle_ = function(message, value) {
+  var title = window.prompt(message, value);
+  if (title === null) {
+    return null;
+  }
+  title = $.trim(title);
+  if (!title) {
+    alert('Dashboard name required!');
+    return null;
+  }
+  if (title != this.chartDisplay_.getTitle() &&
+      this.chartDisplay_.dashboardStore.get(title)) {
+    alert('A dashboard named ' + title + ' already exists.');
+    return null;
+  }
+  return title;
+};
+
+/**
+ * Create a dashboard with the default charts. This method is called when
+ * the new dashboard button is clicked.
+ * @return {Function} A function to create a dashboard.
+ * @private
+ */
+Controller.prototype.newDashboard_ = function() {
+  var self = this;
+  return function() {
+    var title = self.promptTitle_('Dashboard name:', '');
+    if (title) {
+      self.chartDisplay_.createDashboard(title);
+    }
+  };
+};
+
+/**
+ * Rename the displayed dashboard. This method is called when the rename
+ * button is clicked.
+ * @return {Function} A function to rename the dashboard.
+ * @private
+ */
+Controller.prototype.renameDashboard_ = function() {
+  var self = this;
+  return function() {
+    var title = self.promptTitle_(
+        'Dashboard name:', self.chartDisplay_.getTitle());
+    if (title && title != self.chartDisplay_.getTitle()) {
+      self.chartDisplay_.renameDashboard(title);
+    }
+  };
+};
+
+/**
+ * Copy the displayed dashboard. This method is called when the duplicate
+ * button is clicked.
+ * @return {Function} A function to duplicate the dashboard.
+ * @private
+ */
+Controller.prototype.duplicateDashboard_ = function() {
+  var self = this;
+  return function() {
+    var title = self.promptTitle_('Name of the copy:',
+        self.chartDisplay_.dashboardStore.uniqueTitle(
+            'Copy of ' + self.chartDisplay_.getTitle()));
+    if (title) {
+      self.chartDisplay_.duplicateDashboard(title);
+    }
+  };
+};
+
+/**
+ * Delete the displayed dashboard after asking the user to confirm. This
+ * method is called when the delete dashboard button is clicked.
+ * @return {Function} A function to delete the dashboard.
+ * @private
+ */
+Controller.prototype.deleteDashboard_ = function() {
+  var self = this;
+  return function() {
+    if (window.confirm('Delete dashboard ' +
+        self.chartDisplay_.getTitle() + '?')) {
+      self.chartDisplay_.deleteDashboard();
+    }
+  };
+};
+
+/**
+ * Tell the user about metrics of a dashboard that couldn't be displayed.
+ * @param {Array.<string>} missingMetrics Names of the missing metrics.
+ * @private
+ */
+Controller.prototype.alertMissingMetrics_ = function(missingMetrics) {
+  if (missingMetrics.length) {
+    alert('Metrics not found in project: ' + missingMetrics.join(', '));
+  }
+};
+
+/**
+ * Move the slider to the timespan of the displayed dashboard and fill in the
+ * time window fields.
+ * @private
+ */
+Controller.prototype.updateTimeSelector_ = function() {
+  var sliderSelection = this.chartDisplay_.timespanValues.indexOf(
+      this.chartDisplay_.getTimespan());
+  if (sliderSelection > -1) {
+    $('#slider').slider('value', sliderSelection);
+  }
+
+  var timeWindow = this.chartDisplay_.getTimeWindow();
+  if (timeWindow) {
+    this.setWindowFields_(
+        new Date(timeWindow.oldest), new Date(timeWindow.youngest));
+    $('#refresh-status').text('Paused: showing a fixed time window.');
+    $('#live-button').css('display', 'inline');
+  } else {
+    $('#refresh-status').text('Live');
+    $('#live-button').css('display', 'none');
+  }
+};
+
+/**
+ * Initialize the time window date pickers, presets and buttons.
+ * @private
+ */
+Controller.prototype.initTimeWindow_ = function() {
+  var self = this;
+
+  $('#window-oldest-date').datepicker({dateFormat: 'yy-mm-dd'});
+  $('#window-youngest-date').datepicker({dateFormat: 'yy-mm-dd'});
+
+  for (var preset in this.timeWindowPresets_) {
+    var option = document.createElement('option');
+    $(option).attr('value', preset);
+    $(option).text(this.timeWindowPresets_[preset].name);
+    $('#window-preset').append(option);
+  }
+  $('#window-preset').change(function() {
+    var preset = self.timeWindowPresets_[$(this).val()];
+    if (preset) {
+      var range = preset.range(new Date());
+      self.setWindowFields_(range[0], range[1]);
+      self.showTimeWindow_();
+    }
+    $(this).val('');
+  });
+
+  $('#window-button').click(function() {
+    self.showTimeWindow_();
+  });
+  $('#live-button').click(function() {
+    self.chartDisplay_.rangeUpdater(self.chartDisplay_.getTimespan());
+  });
+
+  // Pan and zoom the time window of all charts.
+  $('#pan-back-button').click(function() {
+    self.chartDisplay_.panWindow(-0.5);
+  });
+  $('#pan-forward-button').click(function() {
+    self.chartDisplay_.panWindow(0.5);
+  });
+  $('#zoom-out-button').click(function() {
+    self.chartDisplay_.zoomWindow(2);
+  });
+  $('#reset-zoom-button').click(function() {
+    self.chartDisplay_.rangeUpdater(self.chartDisplay_.getTimespan());
+  });
+};
+
+/**
+ * Display the time window entered in the time window fields on all charts.
+ * @private
+ */
+Controller.prototype.showTimeWindow_ = function() {
+  var oldest = this.readWindowField_('#window-oldest');
+  var youngest = this.readWindowField_('#window-youngest');
+  if (!oldest || !youngest) {
+    alert('Enter dates as YYYY-MM-DD and times as HH:MM.');
+    return;
+  }
+  if (oldest >= youngest) {
+    alert('The start of the time window must be before the end.');
+    return;
+  }
+
+  this.chartDisplay_.windowUpdater(oldest, youngest);
+};
+
+/**
+ * Read a date and time from a pair of time window fields.
+ * @param {string} prefix The ID prefix of the date and time fields.
+ * @return {Date} The date, or null if the fields aren't valid.
+ * @private
+ */
+Controller.prototype.readWindowField_ = function(prefix) {
+  var date = null;
+  try {
+    date = $.datepicker.parseDate('yy-mm-dd', $(prefix + '-date').val());
+  } catch (e) {
+    return null;
+  }
+  var time = /^(\d{1,2}):(\d{2})$/.exec($(prefix + '-time').val());
+  if (!date || !time || time[1] > 23 || time[2] > 59) {
+    return null;
+  }
+  date.setHours(parseInt(time[1], 10), parseInt(time[2], 10));
+  return date;
+};
+
+/**
+ * Fill in the time window fields.
+ * @param {Date} oldest The start of the window.
+ * @param {Date} youngest The end of the window.
+ * @private
+ */
+Controller.prototype.setWindowFields_ = function(oldest, youngest) {
+  var fields = {'#window-oldest': oldest, '#window-youngest': youngest};
+  for (var prefix in fields) {
+    var date = fields[prefix];
+    $(prefix + '-date').val($.datepicker.formatDate('yy-mm-dd', date));
+    var minutes = date.getMinutes();
+    $(prefix + '-time').val(
+        date.getHours() + ':' + (minutes < 10 ? '0' : '') + minutes);
+  }
+};
+
+/**
+ * Download the displayed dashboard as a JSON document. This method is
+ * called when the export button is clicked.
+ * @return {Function} A function to export the dashboard.
+ * @private
+ */
+Controller.prototype.exportDashboard_ = function() {
+  var self = this;
+  return function() {
+    var dashboard = self.chartDisplay_.getDashboard();
+    self.download_(
+        'dashboard-' + self.api_.projectId + '.json',
+        'application/json',
+        dashboard.toJson());
+  };
+};
+
+/**
+ * Download a snapshot of the displayed dashboard with its data, which the
+ * snapshot viewer displays without the API. This method is called when the
+ * snapshot button is clicked.
+ * @return {Function} A function to download the snapshot.
+ * @private
+ */
+Controller.prototype.takeSnapshot_ = function() {
+  var self = this;
+  return function() {
+    var snapshot = self.chartDisplay_.getSnapshot();
+    // Colons aren't allowed in file names on some systems.
+    var time = snapshot.created.replace(/:/g, '-').replace(/\..*$/, '');
+    self.download_(
+        'snapshot-' + self.api_.projectId + '-' + time + '.json',
+        'application/json',
+        snapshot.toJson());
+  };
+};
+
+/**
+ * Read a dashboard JSON document chosen by the user, display it and save it
+ * for the project. This method is called when a file is chosen in the
+ * import file input.
+ * @return {Function} A function to import the dashboard.
+ * @private
+ */
+Controller.prototype.importDashboard_ = function() {
+  var self = this;
+  return function() {
+    var file = this.files[0];
+    if (!file) {
+      return;
+    }
+    // Clear the input so that the same file can be imported again.
+    $(this).val('');
+
+    var reader = new FileReader();
+    reader.onload = function() {
+      var dashboard = null;
+      try {
+        dashboard = Dashboard.fromJson(reader.result);
+      } catch (e) {
+        alert('Could not import dashboard. ' + e.message);
+        return;
+      }
+
+      // Import the dashboard as a copy unless the user replaces the saved
+      // dashboard with the same title.
+      var store = self.chartDisplay_.dashboardStore;
+      dashboard.title = dashboard.title || DashboardStore.DEFAULT_TITLE;
+      if (store.get(dashboard.title) && !window.confirm(
+          'Replace dashboard ' + dashboard.title + '? Cancel to import ' +
+          'it as a copy.')) {
+        dashboard.title = store.uniqueTitle(dashboard.title);
+      }
+
+      var missingMetrics = self.chartDisplay_.loadDashboard(dashboard);
+      self.chartDisplay_.saveDashboard();
+      self.alertMissingMetrics_(missingMetrics);
+    };
+    reader.readAsText(file);
+  };
+};
+
+/**
+ * Offer content to the user as a file download.
+ * @param {string} filename The name of the file.
+ * @param {string} type The MIME type of the content.
+ * @param {string} content The content of the file.
+ * @private
+ */
+Controller.prototype.download_ = function(filename, type, content) {
+  ChartExport.download(filename, type, content);
+};
@@ -0,0 +1,195 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Crosshair and tooltip drawn at a given time on a chart.
+ */
+
+/**
+ * The Crosshair class draws a vertical line at a given time on a Rickshaw
+ * graph, with a tooltip listing the value of each series at that time.
+ * Unlike Rickshaw.Graph.HoverDetail, it can be shown without the mouse being
+ * over the graph, so that every chart can show the same time.
+ * @constructor
+ * @param {Element} element The HTML element containing the graph.
+ * @param {Rickshaw.Graph} graph The graph on which to draw the crosshair.
+ * @param {Function} dateFormatter Function to format a date in milliseconds
+ *     for display in the tooltip.
+ */
+var Crosshair = function(element, graph, dateFormatter) {
+  /**
+   * Rickshaw graph.
+   * @type {Rickshaw.Graph}
+   * @private
+   */
+  this.graph_ = graph;
+
+  /**
+   * Function to format the date.
+   * @type {Function}
+   * @private
+   */
+  this.dateFormatter_ = dateFormatter;
+
+  /**
+   * Maximum number of series values to list in the tooltip.
+   * @type {number}
+   * @private
+   */
+  this.maxValues_ = 10;
+
+  /**
+   * Vertical line element.
+   * @type {Element}
+   * @private
+   */
+  this.line_ = document.createElement('div');
+  $(this.line_).addClass('crosshair');
+  $(element).append(this.line_);
+
+  /**
+   * Tooltip element.
+   * @type {Element}
+   * @private
+   */
+  this.tooltip_ = document.createElement('div');
+  $(this.tooltip_).addClass('crosshair-detail');
+  $(element).append(this.tooltip_);
+};
+
+/**
+ * Draw the crosshair at the given time. The crosshair is hidden if the time
+ * is outside the graph's time range.
+ * @param {number} time The time in milliseconds.
+ * @param {number} y The vertical position of the mouse in pixels, if the
+ *     mouse is over this graph (optional). Renderers that draw cells, like
+ *     the heatmap, then show only the cell under the mouse.
+ */
+Crosshair.prototype.show = function(time, y) {
+  var domain = this.graph_.x.domain();
+  if (time < domain[0] || time > domain[1]) {
+    this.hide();
+    return;
+  }
+
+  var x = this.graph_.x(time);
+  $(this.line_).css({left: x, display: 'block'});
+
+  // List the value of the cell under the mouse, or else the values of the
+  // visible series at that time, largest first.
+  var values = [];
+  var cell = null;
+  if (typeof(y) == 'number' && this.graph_.renderer.cellAt) {
+    cell = this.graph_.renderer.cellAt(time, y);
+  }
+  if (cell) {
+    values.push({series: cell.series, value: cell.point.y});
+  } else {
+    for (var series in this.graph_.series) {
+      var s = this.graph_.series[series];
+      if (s.disabled || !s.data || !s.data.length) {
+        continue;
+      }
+      var point = this.findPoint_(s.data, time);
+      values.push(
+          {series: s, value: point.y, lowerBound: !!point.lowerBound});
+    }
+  }
+  values.sort(function(a, b) {
+    return b.value - a.value;
+  });
+
+  $(this.tooltip_).empty();
+  var date = document.createElement('div');
+  $(date).addClass('date');
+  $(date).text(this.dateFormatter_(time));
+  $(this.tooltip_).append(date);
+
+  for (var i = 0; i < values.length && i < this.maxValues_; i++) {
+    $(this.tooltip_).append(this.createValueLine_(values[i]));
+  }
+  if (values.length > this.maxValues_) {
+    var more = document.createElement('div');
+    $(more).text('+' + (values.length - this.maxValues_) + ' more');
+    $(this.tooltip_).append(more);
+  }
+
+  // Display the tooltip on the side of the line with more room.
+  $(this.tooltip_).css('display', 'block');
+  if (x > this.graph_.width / 2) {
+    $(this.tooltip_).css({left: '', right: this.graph_.width - x + 5});
+  } else {
+    $(this.tooltip_).css({left: x + 5, right: ''});
+  }
+};
+
+/**
+ * Hide the crosshair.
+ */
+Crosshair.prototype.hide = function() {
+  $(this.line_).css('display', 'none');
+  $(this.tooltip_).css('display', 'none');
+};
+
+/**
+ * Find the point closest to the given time using a binary search.
+ * @param {Array.<Object>} data Points sorted by time, with syntax
+ *     [{x: <time>, y: <value>}, ...].
+ * @param {number} time The time in milliseconds.
+ * @return {Object} The closest point.
+ * @private
+ */
+Crosshair.prototype.findPoint_ = function(data, time) {
+  var low = 0;
+  var high = data.length - 1;
+  while (low < high) {
+    var middle = Math.floor((low + high) / 2);
+    if (data[middle].x < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  if (low > 0 && time - data[low - 1].x < data[low].x - time) {
+    low--;
+  }
+  return data[low];
+};
+
+/**
+ * Create the tooltip line for a series value.
+ * @param {Object} value Object with syntax
+ *     {series: <series>, value: <y>, lowerBound: <boolean>}. Values that
+ *     are only lower bounds are prefixed with a greater-than-or-equal sign.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+Crosshair.prototype.createValueLine_ = function(value) {
+  var line = document.createElement('div');
+
+  var swatch = document.createElement('span');
+  $(swatch).addClass('swatch');
+  $(swatch).css('background-color', value.series.color);
+  $(line).append(swatch);
+
+  // formatKMBT displays zero as an empty string.
+  var formattedValue = value.value ?
+      Rickshaw.Fixtures.Number.formatKMBT(value.value) : String(value.value);
+  var text = document.createElement('span');
+  $(text).text(value.series.name + ': ' +
+      (value.lowerBound ? '\u2265 ' : '') + formattedValue);
+  $(line).append(text);
+
+  return line;
+};
@@ -0,0 +1,212 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Keeps the named dashboards of a project in local storage.
+ */
+
+/**
+ * The DashboardStore class keeps the named dashboards of a project, such as
+ * "Database fleet" or "Frontend", and which of them was displayed last.
+ * Dashboards are named by their title, which is unique within a project.
+ * Saved in local storage with syntax:
+ *     {
+ *       active: <title>,
+ *       dashboards: [<dashboard-document>, ...]
+ *     }
+ * @constructor
+ * @param {string} projectId The project ID.
+ */
+var DashboardStore = function(projectId) {
+  /**
+   * Project ID.
+   * @type {string}
+   * @private
+   */
+  this.projectId_ = projectId;
+
+  /**
+   * Dashboards of the project, in the order of their tabs.
+   * @type {Array.<Dashboard>}
+   * @private
+   */
+  this.dashboards_ = [];
+
+  /**
+   * Title of the dashboard displayed last.
+   * @type {string}
+   * @private
+   */
+  this.active_ = null;
+};
+
+/**
+ * Title of the dashboard created when a project has none.
+ * @type {string}
+ */
+DashboardStore.DEFAULT_TITLE = 'Home';
+
+/**
+ * Timespan of the dashboard created from the metric list saved by earlier
+ * versions, which had no timespan.
+ * @type {string}
+ */
+DashboardStore.DEFAULT_TIMESPAN = '1h';
+
+/**
+ * Read the project's dashboards from local storage. A single dashboard, or
+ * a list of metric names, saved by earlier versions is read as the default
+ * dashboard. Corrupt dashboards are skipped.
+ */
+DashboardStore.prototype.load = function() {
+  this.dashboards_ = [];
+  this.active_ = null;
+  if (typeof(Storage) === 'undefined') {
+    return;
+  }
+
+  try {
+    var doc = localStorage.getItem('dashboards-' + this.projectId_);
+    if (doc) {
+      doc = JSON.parse(doc);
+      this.active_ = doc.active || null;
+      for (var index in doc.dashboards) {
+        try {
+          this.dashboards_.push(Dashboard.fromObject(doc.dashboards[index]));
+        } catch (e) {
+          // Keep the other dashboards.
+        }
+      }
+      return;
+    }
+
+    var legacyDashboard = localStorage.getItem('dashboard-' + this.projectId_);
+    var legacyCharts = localStorage.getItem('charts-' + this.projectId_);
+    if (legacyDashboard) {
+      this.dashboards_.push(Dashboard.fromJson(legacyDashboard));
+    } else if (legacyCharts) {
+      var charts = [];
+      var metrics = JSON.parse(legacyCharts);
+      for (var metric in metrics) {
+        charts.push({query: {metric: metrics[metric]}});
+      }
+      this.dashboards_.push(
+          new Dashboard(null, DashboardStore.DEFAULT_TIMESPAN, charts));
+    }
+    if (this.dashboards_.length) {
+      this.dashboards_[0].title = DashboardStore.DEFAULT_TITLE;
+    }
+  } catch (e) {
+    // Ignore corrupt saved dashboards and fall back to the default charts.
+    this.dashboards_ = [];
+  }
+};
+
+/**
+ * Get the titles of the dashboards, in the order of their tabs.
+ * @return {Array.<string>} The titles.
+ */
+DashboardStore.prototype.getTitles = function() {
+  return this.dashboards_.map(function(dashboard) {
+    return dashboard.title;
+  });
+};
+
+/**
+ * Get a dashboard by title.
+ * @param {string} title The title of the dashboard.
+ * @return {Dashboard} The dashboard, or null if there's none with the title.
+ */
+DashboardStore.prototype.get = function(title) {
+  var index = this.getTitles().indexOf(title);
+  return index > -1 ? this.dashboards_[index] : null;
+};
+
+/**
+ * Get the dashboard displayed last.
+ * @return {Dashboard} The dashboard, or the first dashboard if the one
+ *     displayed last was deleted, or null if there are no dashboards.
+ */
+DashboardStore.prototype.getActive = function() {
+  return this.get(this.active_) || this.dashboards_[0] || null;
+};
+
+/**
+ * Make a dashboard the active dashboard.
+ * @param {string} title The title of the dashboard.
+ */
+DashboardStore.prototype.setActive = function(title) {
+  this.active_ = title;
+  this.save_();
+};
+
+/**
+ * Save a dashboard and make it the active dashboard. A dashboard with the
+ * same title is replaced; otherwise the dashboard is added after the others.
+ * @param {Dashboard} dashboard The dashboard.
+ * @param {string} oldTitle The previous title of the dashboard, if it was
+ *     renamed (optional).
+ */
+DashboardStore.prototype.put = function(dashboard, oldTitle) {
+  var index = this.getTitles().indexOf(oldTitle || dashboard.title);
+  if (index > -1) {
+    this.dashboards_[index] = dashboard;
+  } else {
+    this.dashboards_.push(dashboard);
+  }
+  this.active_ = dashboard.title;
+  this.save_();
+};
+
+/**
+ * Delete a dashboard.
+ * @param {string} title The title of the dashboard.
+ */
+DashboardStore.prototype.remove = function(title) {
+  var index = this.getTitles().indexOf(title);
+  if (index > -1) {
+    this.dashboards_.splice(index, 1);
+    this.save_();
+  }
+};
+
+/**
+ * Get a title that no dashboard has, by numbering the given title.
+ * @param {string} title The preferred title.
+ * @return {string} The title, or the title followed by a number.
+ */
+DashboardStore.prototype.uniqueTitle = function(title) {
+  var titles = this.getTitles();
+  var uniqueTitle = title;
+  for (var i = 2; titles.indexOf(uniqueTitle) > -1; i++) {
+    uniqueTitle = title + ' (' + i + ')';
+  }
+  return uniqueTitle;
+};
+
+/**
+ * Write the dashboards to local storage.
+ * @private
+ */
+DashboardStore.prototype.save_ = function() {
+  if (typeof(Storage) === 'undefined') {
+    return;
+  }
+  localStorage.setItem('dashboards-' + this.projectId_, JSON.stringify({
+    active: this.active_,
+    dashboards: this.dashboards_.map(function(dashboard) {
+      return dashboard.toObject();
+    })
+  }));
+};
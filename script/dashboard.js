@@ -0,0 +1,304 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Dashboard definitions that can be imported and exported
+ * as JSON documents.
+ */
+
+/**
+ * The Dashboard class describes a full dashboard: its timespan and the
+ * charts it displays. Serialized as a JSON document with syntax:
+ *     {
+ *       version: 1,
+ *       title: <title>,
+ *       timespan: <timespan>,
+ *       events: [{time: <ISO-date>, description: <text>}, ...],
+ *       eventFeed: <url>,
+ *       charts: [{
+ *         query: {
+ *           metric: <metric-name>,
+ *           labels: ['label==value', ...],
+ *           timespan: <timespan>
+ *         },
+ *         renderer: <rickshaw-renderer>,
+ *         layout: {width: <pixels>, height: <pixels>},
+ *         alerts: [{operator: <'>'|'<'>, threshold: <value>,
+ *                   duration: <minutes>}, ...],
+ *         thresholds: [{value: <y-value>, label: <text>,
+ *                       color: <css-color>}, ...],
+ *         percentiles: [<percentile>, ...],
+ *         transform: {type: <'raw'|'delta'|'rate'>, unit: <unit>},
+ *         aggregation: {method: <method>, groupBy: [<label>, ...]},
+ *         compare: <timespan>,
+ *         widget: {type: <'stat'|'gauge'|'table'>, <option>: <value>, ...},
+ *         projects: [<project-id>, ...]
+ *       }, ...]
+ *     }
+ * @constructor
+ * @param {string} title The title of the dashboard.
+ * @param {string} timespan The timespan selected for the dashboard.
+ * @param {Array.<Object>} charts A list of chart configurations.
+ * @param {Array.<Object>} events Events to mark on the charts (optional).
+ * @param {string} eventFeed URL of a JSON feed of events (optional).
+ */
+var Dashboard = function(title, timespan, charts, events, eventFeed) {
+  /**
+   * Title of the dashboard.
+   * @type {string}
+   */
+  this.title = title;
+
+  /**
+   * Timespan selected for the dashboard.
+   * @type {string}
+   */
+  this.timespan = timespan;
+
+  /**
+   * Configuration of each chart, in display order.
+   * @type {Array.<Object>}
+   */
+  this.charts = charts;
+
+  /**
+   * Events marked on the charts, with syntax
+   * {time: <ISO-date>, description: <text>}.
+   * @type {Array.<Object>}
+   */
+  this.events = events || [];
+
+  /**
+   * URL of a JSON feed of events to mark on the charts.
+   * @type {string}
+   */
+  this.eventFeed = eventFeed || null;
+};
+
+/**
+ * Version of the dashboard JSON schema written by this code.
+ * @type {number}
+ */
+Dashboard.VERSION = 1;
+
+/**
+ * Timespans a dashboard can show, which are the values of the range slider.
+ * @type {Array.<string>}
+ */
+Dashboard.TIMESPANS = ['5m', '10m', '20m', '30m', '40m', '50m', '1h', '2h',
+                       '3h', '4h', '5h', '6h', '7h', '8h', '9h', '10h', '11h',
+                       '12h', '1d', '2d', '3d', '4d', '5d', '6d', '1w', '2w',
+                       '3w', '30d'];
+
+/**
+ * Create a dashboard from a JSON document.
+ * @param {string} json A JSON dashboard document.
+ * @return {Dashboard} A Dashboard object.
+ * @throws {Error} If the document is not a valid dashboard.
+ */
+Dashboard.fromJson = function(json) {
+  var doc = null;
+  try {
+    doc = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Dashboard is not valid JSON: ' + e.message);
+  }
+  return Dashboard.fromObject(doc);
+};
+
+/**
+ * Create a dashboard from a parsed JSON document.
+ * @param {Object} doc A parsed dashboard document.
+ * @return {Dashboard} A Dashboard object.
+ * @throws {Error} If the document is not a valid dashboard.
+ */
+Dashboard.fromObject = function(doc) {
+  if (!doc || typeof(doc) != 'object') {
+    throw new Error('Dashboard must be an object.');
+  }
+  if (typeof(doc.version) != 'number' || doc.version > Dashboard.VERSION) {
+    throw new Error('Unsupported dashboard version: ' + doc.version);
+  }
+  // Dashboards without a timespan are saved with a null one.
+  if (doc.timespan != null &&
+      Dashboard.TIMESPANS.indexOf(doc.timespan) == -1) {
+    throw new Error('Invalid dashboard timespan ' + doc.timespan);
+  }
+  if (!$.isArray(doc.charts)) {
+    throw new Error('Dashboard charts must be a list.');
+  }
+
+  var charts = [];
+  for (var chart in doc.charts) {
+    charts.push(Dashboard.validateChart_(doc.charts[chart], chart));
+  }
+
+  if (doc.events !== undefined) {
+    if (!$.isArray(doc.events)) {
+      throw new Error('Dashboard events must be a list.');
+    }
+    for (var event in doc.events) {
+      if (!doc.events[event] ||
+          isNaN(new Date(doc.events[event].time).getTime())) {
+        throw new Error(
+            'Invalid dashboard event ' + JSON.stringify(doc.events[event]));
+      }
+    }
+  }
+  if (doc.eventFeed && typeof(doc.eventFeed) != 'string') {
+    throw new Error('Dashboard eventFeed must be a URL.');
+  }
+
+  return new Dashboard(doc.title || '', doc.timespan, charts,
+      $.extend(true, [], doc.events), doc.eventFeed);
+};
+
+/**
+ * Check a chart configuration from a dashboard document.
+ * @param {Object} chart A chart configuration.
+ * @param {number} index The position of the chart in the document.
+ * @return {Object} A copy of the chart configuration.
+ * @throws {Error} If the chart configuration is not valid.
+ * @private
+ */
+Dashboard.validateChart_ = function(chart, index) {
+  var prefix = 'Chart ' + index + ': ';
+  if (!chart || !chart.query || typeof(chart.query.metric) != 'string') {
+    throw new Error(prefix + 'query.metric is required.');
+  }
+  if (chart.query.timespan != null &&
+      Dashboard.TIMESPANS.indexOf(chart.query.timespan) == -1) {
+    throw new Error(prefix + 'invalid timespan ' + chart.query.timespan);
+  }
+  if (chart.query.labels !== undefined) {
+    if (!$.isArray(chart.query.labels)) {
+      throw new Error(prefix + 'query.labels must be a list.');
+    }
+    for (var label in chart.query.labels) {
+      var labelValue = chart.query.labels[label];
+      if (typeof(labelValue) != 'string' || labelValue.indexOf('==') == -1) {
+        throw new Error(prefix + 'invalid label ' + labelValue);
+      }
+    }
+  }
+  if (chart.renderer !== undefined && chart.renderer != 'heatmap' &&
+      !Chart.RENDERERS.hasOwnProperty(chart.renderer)) {
+    throw new Error(prefix + 'invalid renderer ' + chart.renderer);
+  }
+  if (chart.layout !== undefined) {
+    var dimensions = ['width', 'height'];
+    for (var dimension in dimensions) {
+      var value = chart.layout[dimensions[dimension]];
+      if (value !== undefined && !(typeof(value) == 'number' && value > 0)) {
+        throw new Error(prefix + 'layout.' + dimensions[dimension] +
+            ' must be positive.');
+      }
+    }
+  }
+  if (chart.alerts !== undefined) {
+    if (!$.isArray(chart.alerts)) {
+      throw new Error(prefix + 'alerts must be a list.');
+    }
+    for (var entry in chart.alerts) {
+      var rule = chart.alerts[entry];
+      if (!rule || (rule.operator != '>' && rule.operator != '<') ||
+          typeof(rule.threshold) != 'number' ||
+          typeof(rule.duration) != 'number' || rule.duration < 0) {
+        throw new Error(prefix + 'invalid alert rule ' + JSON.stringify(rule));
+      }
+    }
+  }
+  if (chart.thresholds !== undefined) {
+    if (!$.isArray(chart.thresholds)) {
+      throw new Error(prefix + 'thresholds must be a list.');
+    }
+    for (var line in chart.thresholds) {
+      var threshold = chart.thresholds[line];
+      if (!threshold || typeof(threshold.value) != 'number') {
+        throw new Error(
+            prefix + 'invalid threshold ' + JSON.stringify(threshold));
+      }
+    }
+  }
+  if (chart.percentiles !== undefined) {
+    if (!$.isArray(chart.percentiles)) {
+      throw new Error(prefix + 'percentiles must be a list.');
+    }
+    for (var item in chart.percentiles) {
+      var percentile = chart.percentiles[item];
+      if (typeof(percentile) != 'number' || percentile <= 0 ||
+          percentile > 100) {
+        throw new Error(prefix + 'invalid percentile ' + percentile);
+      }
+    }
+  }
+  if (chart.transform !== undefined && !Transform.isValid(chart.transform)) {
+    throw new Error(
+        prefix + 'invalid transform ' + JSON.stringify(chart.transform));
+  }
+  if (chart.aggregation && !Aggregation.isValid(chart.aggregation)) {
+    throw new Error(
+        prefix + 'invalid aggregation ' + JSON.stringify(chart.aggregation));
+  }
+  if (chart.compare && !/^\d+[smhdw]$/.test(chart.compare)) {
+    throw new Error(prefix + 'invalid compare timespan ' + chart.compare);
+  }
+  if (chart.widget) {
+    var widget = chart.widget;
+    if (!Chart.WIDGETS.hasOwnProperty(widget.type) ||
+        (widget.min !== undefined && typeof(widget.min) != 'number') ||
+        (widget.max !== undefined && typeof(widget.max) != 'number') ||
+        (widget.limit !== undefined &&
+            !(typeof(widget.limit) == 'number' && widget.limit > 0))) {
+      throw new Error(prefix + 'invalid widget ' + JSON.stringify(widget));
+    }
+  }
+  if (chart.projects !== undefined) {
+    if (!$.isArray(chart.projects)) {
+      throw new Error(prefix + 'projects must be a list.');
+    }
+    for (var project in chart.projects) {
+      if (typeof(chart.projects[project]) != 'string' ||
+          !chart.projects[project]) {
+        throw new Error(prefix + 'invalid project ' +
+            JSON.stringify(chart.projects[project]));
+      }
+    }
+  }
+  return $.extend(true, {}, chart);
+};
+
+/**
+ * Serialize the dashboard as a JSON document.
+ * @return {string} A JSON dashboard document.
+ */
+Dashboard.prototype.toJson = function() {
+  return JSON.stringify(this.toObject(), null, 2);
+};
+
+/**
+ * Get the dashboard document, for serializing as part of a larger document.
+ * @return {Object} The dashboard document, with the syntax of a JSON
+ *     dashboard document.
+ */
+Dashboard.prototype.toObject = function() {
+  return {
+    version: Dashboard.VERSION,
+    title: this.title,
+    timespan: this.timespan,
+    events: this.events,
+    eventFeed: this.eventFeed,
+    charts: this.charts
+  };
+};
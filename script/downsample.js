@@ -0,0 +1,97 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Reduces the number of points of a series while keeping its
+ * shape.
+ */
+
+/**
+ * Namespace for downsampling series with the Largest-Triangle-Three-Buckets
+ * algorithm (Steinarsson, 2013). The points are split into buckets, and from
+ * each bucket the point forming the largest triangle with the point kept
+ * from the previous bucket and the average of the next bucket is kept. Peaks
+ * and dips are kept, unlike when averaging or taking every nth point.
+ */
+var Downsample = {};
+
+/**
+ * Choose the points of a series to keep.
+ * @param {Array.<Object>} data Points with syntax
+ *     [{x: <time>, y: <value>}, ...], in ascending time order.
+ * @param {number} threshold Number of points to keep, at least 3.
+ * @return {Array.<number>} The indexes of the points to keep, in ascending
+ *     order. All indexes if the series has no more points than the
+ *     threshold.
+ */
+Downsample.lttb = function(data, threshold) {
+  var indexes = [];
+  if (threshold < 3 || data.length <= threshold) {
+    for (var i = 0; i < data.length; i++) {
+      indexes.push(i);
+    }
+    return indexes;
+  }
+
+  // The first and last points are always kept. The others are split into
+  // threshold - 2 buckets.
+  var bucketSize = (data.length - 2) / (threshold - 2);
+  var kept = 0;
+  indexes.push(0);
+  for (var bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket, or the last point for the last bucket.
+    var nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    var nextEnd = Math.min(
+        Math.floor((bucket + 2) * bucketSize) + 1, data.length);
+    var averageX = 0;
+    var averageY = 0;
+    for (var i = nextStart; i < nextEnd; i++) {
+      averageX += data[i].x;
+      averageY += data[i].y;
+    }
+    averageX /= nextEnd - nextStart;
+    averageY /= nextEnd - nextStart;
+
+    // Keep the point of this bucket forming the largest triangle.
+    var start = Math.floor(bucket * bucketSize) + 1;
+    var end = Math.floor((bucket + 1) * bucketSize) + 1;
+    var maxArea = -1;
+    var maxIndex = start;
+    for (var i = start; i < end; i++) {
+      var area = Math.abs(
+          (data[kept].x - averageX) * (data[i].y - data[kept].y) -
+          (data[kept].x - data[i].x) * (averageY - data[kept].y));
+      if (area > maxArea) {
+        maxArea = area;
+        maxIndex = i;
+      }
+    }
+    indexes.push(maxIndex);
+    kept = maxIndex;
+  }
+  indexes.push(data.length - 1);
+  return indexes;
+};
+
+/**
+ * Keep the points of a series at the given indexes.
+ * @param {Array.<Object>} data The points.
+ * @param {Array.<number>} indexes The indexes of the points to keep.
+ * @return {Array.<Object>} The points kept.
+ */
+Downsample.select = function(data, indexes) {
+  return indexes.map(function(index) {
+    return data[index];
+  });
+};
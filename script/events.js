@@ -0,0 +1,262 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Events, such as deploys and incidents, marked on all charts.
+ */
+
+/**
+ * The EventManager class keeps the list of events to mark on the charts.
+ * Events are either added manually or loaded from a JSON feed. The feed
+ * returns a list of events, or an object with an events field holding the
+ * list, with syntax:
+ *     [{time: <ISO-date>, description: <text>}, ...]
+ * @constructor
+ * @param {Function} onChange Function to call when the user adds or removes
+ *     events or changes the feed.
+ */
+var EventManager = function(onChange) {
+  /**
+   * Function to call when the events change.
+   * @type {Function}
+   * @private
+   */
+  this.onChange_ = onChange;
+
+  /**
+   * Events added manually, with syntax {time: <ms>, description: <text>}.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.events_ = [];
+
+  /**
+   * URL of the event feed.
+   * @type {string}
+   * @private
+   */
+  this.feedUrl_ = null;
+
+  /**
+   * Events loaded from the feed.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.feedEvents_ = [];
+};
+
+/**
+ * Initialize events on the event form HTML elements.
+ */
+EventManager.prototype.init = function() {
+  var self = this;
+
+  $('#events-button').click(function() {
+    if ($('#event-form').css('display') == 'none') {
+      $('#event-form').fadeIn(500);
+    } else {
+      $('#event-form').fadeOut(500);
+    }
+  });
+
+  $('#event-add-button').click(function() {
+    var time = new Date();
+    if ($('#event-time').val()) {
+      time = EventManager.parseTime_($('#event-time').val());
+      if (!time) {
+        alert('Enter the event time as YYYY-MM-DD HH:MM.');
+        return;
+      }
+    }
+    if (!$('#event-description').val()) {
+      alert('Event description required!');
+      return;
+    }
+
+    self.events_.push({
+      time: time.getTime(),
+      description: $('#event-description').val()
+    });
+    $('#event-time').val('');
+    $('#event-description').val('');
+    self.changed_();
+  });
+
+  $('#event-feed-button').click(function() {
+    self.feedUrl_ = $('#event-feed').val() || null;
+    self.loadFeed();
+    self.changed_();
+  });
+};
+
+/**
+ * Replace the events and feed, for example when a dashboard is loaded.
+ * @param {Array.<Object>} events Events with syntax
+ *     {time: <ISO-date>, description: <text>}.
+ * @param {string} feedUrl URL of the event feed, or null.
+ */
+EventManager.prototype.load = function(events, feedUrl) {
+  this.events_ = EventManager.parseEvents_(events || []);
+  this.feedEvents_ = [];
+  this.feedUrl_ = feedUrl || null;
+  $('#event-feed').val(this.feedUrl_ || '');
+  this.render_();
+  this.loadFeed();
+};
+
+/**
+ * Fetch the events from the feed. The charts are updated when the feed
+ * returns.
+ */
+EventManager.prototype.loadFeed = function() {
+  var self = this;
+
+  if (!this.feedUrl_) {
+    this.feedEvents_ = [];
+    return;
+  }
+  var feedUrl = this.feedUrl_;
+  $('#event-feed-status').text('Loading...');
+  $.getJSON(feedUrl).done(function(response) {
+    // Ignore the response if the feed changed while it was loading.
+    if (feedUrl != self.feedUrl_) {
+      return;
+    }
+    var events = $.isArray(response) ? response :
+        response && response.events;
+    if (!$.isArray(events)) {
+      $('#event-feed-status').text(
+          'Could not load feed: not a list of events');
+      return;
+    }
+    self.feedEvents_ = EventManager.parseEvents_(events);
+    $('#event-feed-status').text(self.feedEvents_.length + ' events loaded.');
+    self.render_();
+    self.onChange_(false);
+  }).fail(function(request, status, error) {
+    $('#event-feed-status').text('Could not load feed: ' + (error || status));
+  });
+};
+
+/**
+ * Get all events, sorted by time.
+ * @return {Array.<Object>} Events with syntax
+ *     {time: <ms>, description: <text>}.
+ */
+EventManager.prototype.getEvents = function() {
+  return this.events_.concat(this.feedEvents_).sort(function(a, b) {
+    return a.time - b.time;
+  });
+};
+
+/**
+ * Get the manually added events for saving in a dashboard.
+ * @return {Array.<Object>} Events with syntax
+ *     {time: <ISO-date>, description: <text>}.
+ */
+EventManager.prototype.getSavedEvents = function() {
+  var events = [];
+  for (var event in this.events_) {
+    events.push({
+      time: new Date(this.events_[event].time).toISOString(),
+      description: this.events_[event].description
+    });
+  }
+  return events;
+};
+
+/**
+ * Get the URL of the event feed.
+ * @return {string} The URL, or null if there is no feed.
+ */
+EventManager.prototype.getFeedUrl = function() {
+  return this.feedUrl_;
+};
+
+/**
+ * Update the event list and notify that the user changed the events.
+ * @private
+ */
+EventManager.prototype.changed_ = function() {
+  this.render_();
+  this.onChange_(true);
+};
+
+/**
+ * Display the manually added events, each with a button to remove it.
+ * @private
+ */
+EventManager.prototype.render_ = function() {
+  var self = this;
+
+  var removeEvent = function(event) {
+    return function() {
+      self.events_.splice(event, 1);
+      self.changed_();
+    };
+  };
+
+  $('#event-list').empty();
+  for (var event in this.events_) {
+    var item = document.createElement('li');
+    $(item).text(new Date(this.events_[event].time).toLocaleString() + ': ' +
+        this.events_[event].description + ' ');
+    var remove = document.createElement('input');
+    $(remove).attr('type', 'button');
+    $(remove).val('Remove');
+    $(remove).click(removeEvent(event));
+    $(item).append(remove);
+    $('#event-list').append(item);
+  }
+};
+
+/**
+ * Convert events from a dashboard or feed, skipping invalid events.
+ * @param {Array.<Object>} events Events with syntax
+ *     {time: <ISO-date|ms>, description: <text>}.
+ * @return {Array.<Object>} Events with syntax
+ *     {time: <ms>, description: <text>}.
+ * @private
+ */
+EventManager.parseEvents_ = function(events) {
+  var parsedEvents = [];
+  for (var event in events) {
+    if (!events[event]) {
+      continue;
+    }
+    var time = new Date(events[event].time).getTime();
+    if (!isNaN(time)) {
+      parsedEvents.push({
+        time: time,
+        description: String(events[event].description || '')
+      });
+    }
+  }
+  return parsedEvents;
+};
+
+/**
+ * Parse a local time entered as YYYY-MM-DD HH:MM.
+ * @param {string} text The entered time.
+ * @return {Date} The time, or null if it isn't valid.
+ * @private
+ */
+EventManager.parseTime_ = function(text) {
+  var match = /^(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})$/.exec(
+      $.trim(text));
+  if (!match) {
+    return null;
+  }
+  return new Date(match[1], match[2] - 1, match[3], match[4], match[5]);
+};
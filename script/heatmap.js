@@ -0,0 +1,161 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Rickshaw renderer drawing distribution metrics as a heatmap.
+ */
+
+/**
+ * The Heatmap renderer draws one row per distribution bucket and one cell
+ * per point, colored by the point's count. Each series is a bucket, sorted
+ * from the lowest bucket to the highest, with syntax:
+ *     {
+ *       name: <distribution-range>,
+ *       lower: <lower-bound>,
+ *       upper: <upper-bound>,
+ *       data: [{x: <time>, y: <count>}, ...]
+ *     }
+ * Every series must have a point at the same times. The Y scale of the graph
+ * maps bucket index to pixels, so buckets get equal height whatever their
+ * bounds.
+ * @constructor
+ */
+Rickshaw.Graph.Renderer.Heatmap = Rickshaw.Class.create(
+    Rickshaw.Graph.Renderer, {
+
+  name: 'heatmap',
+
+  defaults: function($super) {
+    return Rickshaw.extend($super(), {
+      unstack: true,
+      fill: true,
+      stroke: false,
+      colorRange: ['#f7fbff', '#08306b']
+    });
+  },
+
+  /**
+   * Get the X domain from the point times, and the Y domain from the number
+   * of buckets. Each point's cell extends back to the previous point.
+   * @return {Object} The domain, with syntax {x: [min, max], y: [min, max]}.
+   */
+  domain: function() {
+    var data = this.graph.series.length ? this.graph.series[0].data : [];
+    if (!data.length) {
+      return {x: [0, 1], y: [0, 1]};
+    }
+    return {
+      x: [data[0].x - this.interval_(data, 0), data[data.length - 1].x],
+      y: [0, this.graph.series.length]
+    };
+  },
+
+  /**
+   * Draw a cell for every point with a non-zero count.
+   * @param {Object} args Optional arguments, with syntax {vis: <d3-element>}.
+   */
+  render: function(args) {
+    var self = this;
+    var graph = this.graph;
+    var vis = (args && args.vis) || graph.vis;
+    vis.selectAll('*').remove();
+
+    var color = this.colorScale();
+    graph.series.forEach(function(series, row) {
+      var group = vis.append('g').attr('class', 'heatmap-row');
+      series.path = group.node();
+      var top = graph.y(row + 1);
+      var height = Math.max(graph.y(row) - top, 1);
+
+      series.data.forEach(function(point, column) {
+        if (!point.y) {
+          return;
+        }
+        var left = graph.x(point.x - self.interval_(series.data, column));
+        group.append('rect')
+            .attr('x', left)
+            .attr('y', top)
+            .attr('width', Math.max(graph.x(point.x) - left, 1))
+            .attr('height', height)
+            .style('fill', color(point.y));
+      });
+    });
+  },
+
+  /**
+   * Get the scale mapping counts to cell colors.
+   * @return {d3.scale} A d3 scale.
+   */
+  colorScale: function() {
+    var max = 0;
+    this.graph.series.forEach(function(series) {
+      series.data.forEach(function(point) {
+        max = Math.max(max, point.y);
+      });
+    });
+    return d3.scale.sqrt().domain([0, max || 1]).range(this.colorRange);
+  },
+
+  /**
+   * Format a Y axis value as the lower bound of the bucket at that position.
+   * @param {number} value A bucket index.
+   * @return {string} The formatted bucket bound.
+   */
+  formatY: function(value) {
+    var series = this.graph.series;
+    if (!series.length) {
+      return '';
+    }
+    var bound = value >= series.length ?
+        series[series.length - 1].upper :
+        series[Math.max(0, Math.floor(value))].lower;
+    return bound ? Rickshaw.Fixtures.Number.formatKMBT(bound) : String(bound);
+  },
+
+  /**
+   * Find the bucket and point under a position on the graph.
+   * @param {number} time The time in milliseconds.
+   * @param {number} y The vertical position in pixels.
+   * @return {Object} Object with syntax {series: <series>, point: <point>},
+   *     or null if there is no cell at that position.
+   */
+  cellAt: function(time, y) {
+    var series = this.graph.series[Math.floor(this.graph.y.invert(y))];
+    if (!series) {
+      return null;
+    }
+    for (var i = 0; i < series.data.length; i++) {
+      if (series.data[i].x >= time &&
+          series.data[i].x - this.interval_(series.data, i) <= time) {
+        return {series: series, point: series.data[i]};
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Get the time between a point and the previous point. The first point
+   * uses the interval to the next point.
+   * @param {Array.<Object>} data The series points.
+   * @param {number} index The index of the point.
+   * @return {number} The interval in milliseconds.
+   * @private
+   */
+  interval_: function(data, index) {
+    if (index > 0) {
+      return data[index].x - data[index - 1].x;
+    }
+    return data.length > 1 ? data[1].x - data[0].x : 60000;
+  }
+});
@@ -0,0 +1,148 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Searchable list of metrics from which to add charts.
+ */
+
+/**
+ * The MetricBrowser class displays the metrics returned by the
+ * metricDescriptors.list API endpoint and lets the user pick metrics to chart.
+ * @constructor
+ * @param {Function} onAdd Function to call with a metric object when the user
+ *     selects a metric.
+ */
+var MetricBrowser = function(onAdd) {
+  /**
+   * Function to call when a metric is selected.
+   * @type {Function}
+   * @private
+   */
+  this.onAdd_ = onAdd;
+
+  /**
+   * All metrics returned by the API.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.metrics_ = [];
+
+  /**
+   * Names of the metrics currently displayed as charts.
+   * @type {Array.<string>}
+   * @private
+   */
+  this.displayedMetrics_ = [];
+};
+
+/**
+ * Initialize events on the metric browser HTML elements.
+ */
+MetricBrowser.prototype.init = function() {
+  var self = this;
+
+  // Show or hide the browser when the add chart button is clicked.
+  $('#add-chart-button').click(function() {
+    if ($('#metric-browser').css('display') == 'none') {
+      $('#metric-browser').fadeIn(500);
+      $('#metric-search').focus();
+    } else {
+      $('#metric-browser').fadeOut(500);
+    }
+  });
+
+  // Filter the list of metrics as the user types.
+  $('#metric-search').keyup(function() {
+    self.render_();
+  });
+};
+
+/**
+ * Update the metrics available in the browser.
+ * @param {Array.<Object>} metrics Metric objects returned from the
+ *     metricDescriptors.list API endpoint.
+ * @param {Array.<string>} displayedMetrics Names of the metrics currently
+ *     displayed as charts.
+ */
+MetricBrowser.prototype.update = function(metrics, displayedMetrics) {
+  this.metrics_ = metrics || [];
+  this.displayedMetrics_ = displayedMetrics;
+  this.render_();
+};
+
+/**
+ * Display the list of metrics matching the search text.
+ * @private
+ */
+MetricBrowser.prototype.render_ = function() {
+  var searchTerms = $('#metric-search').val().toLowerCase().split(/\s+/);
+
+  $('#metric-list').empty();
+  for (var metric in this.metrics_) {
+    if (!this.matches_(this.metrics_[metric], searchTerms)) {
+      continue;
+    }
+    $('#metric-list').append(this.createMetricItem_(this.metrics_[metric]));
+  }
+};
+
+/**
+ * Check whether a metric matches all of the search terms. Both the metric
+ * name and description are searched.
+ * @param {Object} metric A metric object returned from the API.
+ * @param {Array.<string>} searchTerms Lower case search terms.
+ * @return {boolean} True if the metric matches.
+ * @private
+ */
+MetricBrowser.prototype.matches_ = function(metric, searchTerms) {
+  var text = (metric.name + ' ' + (metric.description || '')).toLowerCase();
+  for (var term in searchTerms) {
+    if (text.indexOf(searchTerms[term]) == -1) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Create the list item for a metric.
+ * @param {Object} metric A metric object returned from the API.
+ * @return {Element} An HTML Element.
+ * @private
+ */
+MetricBrowser.prototype.createMetricItem_ = function(metric) {
+  var self = this;
+
+  var item = document.createElement('li');
+  $(item).addClass('metric');
+  if (this.displayedMetrics_.indexOf(metric.name) > -1) {
+    $(item).addClass('displayed');
+  }
+
+  var name = document.createElement('span');
+  $(name).addClass('metric-name');
+  $(name).text(metric.name);
+  $(item).append(name);
+
+  var description = document.createElement('span');
+  $(description).addClass('metric-description');
+  $(description).text(metric.description);
+  $(item).append(description);
+
+  $(item).click(function() {
+    self.onAdd_(metric);
+  });
+
+  return item;
+};
@@ -23,7 +23,8 @@
  */
 var MonitoringApi = function() {
   /**
-   * User's project ID. Set via the UI.
+   * User's project ID. Set via the UI. Charts can also query other projects
+   * by setting the project of their query.
    * @type {string}
    */
   this.projectId = null;
@@ -62,6 +63,132 @@ var MonitoringApi = function() {
    * @private
    */
   this.scopes_ = 'https://www.googleapis.com/auth/monitoring.readonly';
+
+  /**
+   * Number of times a request is retried after a rate limit, server or
+   * network error.
+   * @type {number}
+   * @private
+   */
+  this.maxRetries_ = 5;
+
+  /**
+   * Delay before the first retry in milliseconds. The delay doubles with
+   * each retry.
+   * @type {number}
+   * @private
+   */
+  this.baseRetryDelay_ = 1000;
+
+  /**
+   * Longest delay between retries in milliseconds.
+   * @type {number}
+   * @private
+   */
+  this.maxRetryDelay_ = 30000;
+
+  /**
+   * Requests waiting for the authorization to be renewed, or null if it
+   * isn't being renewed.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.authQueue_ = null;
+
+  /**
+   * True once the API client library has been loaded.
+   * @type {boolean}
+   * @private
+   */
+  this.clientLoaded_ = false;
+
+  /**
+   * Functions to call once the API client library has been loaded, or null
+   * if it isn't being loaded.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.clientCallbacks_ = null;
+
+  /**
+   * Maximum number of requests sent to the API at the same time.
+   * @type {number}
+   * @private
+   */
+  this.maxConcurrentRequests_ = 4;
+
+  /**
+   * Number of requests sent to the API and not yet returned.
+   * @type {number}
+   * @private
+   */
+  this.activeRequests_ = 0;
+
+  /**
+   * Requests waiting for one of the active requests to return. Each is a
+   * function taking a function to call once the request returns.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.requestQueue_ = [];
+
+  /**
+   * Callbacks of the calls in progress, keyed by the call. A call identical
+   * to one in progress waits for its result instead of querying the API.
+   * @type {Object.<string, Array.<Function>>}
+   * @private
+   */
+  this.inFlight_ = {};
+
+  /**
+   * Results of metric and timeseries descriptor lookups, keyed by the
+   * lookup, with syntax {time: <ms>, result: <result>}.
+   * @type {Object.<string, Object>}
+   * @private
+   */
+  this.cache_ = {};
+
+  /**
+   * Time for which descriptor lookups are cached in milliseconds.
+   * @type {number}
+   * @private
+   */
+  this.cacheTtl_ = 5 * 60 * 1000;
+
+  /**
+   * Counts of requests, for debugging. See getStats.
+   * @type {Object.<string, number>}
+   * @private
+   */
+  this.stats_ = {
+    requests: 0,
+    retries: 0,
+    failures: 0,
+    coalesced: 0,
+    cacheHits: 0,
+    cacheMisses: 0
+  };
+
+  /**
+   * Function to call with the outcome of each request: 'success', 'retry'
+   * or 'failure', the error if there was one, and the delay before the
+   * retry in milliseconds.
+   * @type {Function}
+   */
+  this.onRequest = null;
+};
+
+/**
+ * Reasons for which a request fails, mapped to the text displayed to the
+ * user. Rate limit, server and network errors are retried.
+ * @type {Object.<string, string>}
+ */
+MonitoringApi.ERRORS = {
+  rateLimit: 'Rate limit exceeded',
+  server: 'Server error',
+  network: 'Network error',
+  auth: 'Authorization expired',
+  invalid: 'Invalid request'
 };
 
 /**
@@ -91,7 +218,7 @@ MonitoringApi.prototype.handleAuthResult = function(authComplete) {
       authComplete();
     } else {
       $('#authorize-button').css('visibility', '');
-      $('#authorize-button').click(function(event) {
+      $('#authorize-button').off('click').click(function(event) {
         gapi.auth.authorize({
           client_id: self.clientId_,
           scope: self.scopes_,
@@ -110,71 +237,361 @@ MonitoringApi.prototype.handleAuthResult = function(authComplete) {
  *       timespan: '2d',
  *       labels: ['label==value',...]
  *     }
- * @param {function} callback Method to call when API returns.
+ *     If youngest isn't set, the query ends at the current time. A window
+ *     can be queried by setting oldest and youngest instead of timespan.
+ * @param {function} callback Method to call when API returns, with the
+ *     timeseries, which are empty if nothing matches the query, and the
+ *     error if the request failed. See MonitoringApi.classifyError.
  */
 MonitoringApi.prototype.getData = function(query, callback) {
   var self = this;
-  var timeseries = [];
-
-  // Make a copy of the query in case the pageToken needs to be added.
-  // We don't want the pageToken added to the query object.
-  var localQuery = $.extend({}, query);
-  localQuery.youngest = new Date().toISOString();
-
-  var makeCall = function() {
-    gapi.client.load(self.apiName_, self.apiVersion_, function() {
-      var request = gapi.client.cloudmonitoring.timeseries.list(localQuery);
-      request.execute(function(response) {
-        if (response.timeseries) {
-          $.merge(timeseries, response.timeseries);
-          if (response.nextPageToken) {
-            $.extend(localQuery, {'pageToken': response.nextPageToken});
-            makeCall();
-          } else {
-            callback(timeseries);
-          }
+
+  this.coalesce_('timeseries:' + JSON.stringify(query), function(done) {
+    var timeseries = [];
+
+    // Make a copy of the query in case the pageToken needs to be added.
+    // We don't want the pageToken added to the query object.
+    var localQuery = $.extend({}, query);
+    if (!localQuery.youngest) {
+      localQuery.youngest = new Date().toISOString();
+    }
+
+    var makeCall = function() {
+      self.execute_(function() {
+        return gapi.client.cloudmonitoring.timeseries.list(localQuery);
+      }, function(response, error) {
+        if (error) {
+          done(timeseries, error);
+          return;
+        }
+        // The API leaves out the timeseries if none match the query.
+        $.merge(timeseries, response.timeseries || []);
+        if (response.nextPageToken) {
+          $.extend(localQuery, {'pageToken': response.nextPageToken});
+          makeCall();
         } else {
-          // If there's no timeseries data, there was a problem. Return the
-          // response to display in the error message.
-          callback(timeseries, response);
+          done(timeseries);
         }
       });
-    });
-  };
-  makeCall();
+    };
+    makeCall();
+  }, callback);
 };
 
 /**
  * Make a call to the Monitoring API metricDescriptors.list endpoint.
- * @param {function} callback Method to call when API returns.
+ * @param {function} callback Method to call when API returns, with the
+ *     metrics and the error if the request failed.
  */
 MonitoringApi.prototype.getMetrics = function(callback) {
   var self = this;
-  gapi.client.load(this.apiName_, this.apiVersion_, function() {
-    var request = gapi.client.cloudmonitoring.metricDescriptors.list({
-      'project': self.projectId
-    });
-    request.execute(function(response) {
-      callback(response.metrics);
+  var projectId = this.projectId;
+  this.cached_('metrics:' + projectId, function(done) {
+    self.execute_(function() {
+      return gapi.client.cloudmonitoring.metricDescriptors.list({
+        'project': projectId
+      });
+    }, function(response, error) {
+      done(error ? [] : response.metrics || [], error);
     });
-  });
+  }, callback);
 };
 
 /**
  * Make a call to the Monitoring API timeseriesDescriptors.list endpoint.
  * @param {string} metric String metric name (ex:
  *     compute.googleapis.com/instance/disk/read_latencies)
- * @param {function} callback Method to call when API returns.
+ * @param {function} callback Method to call when API returns, with the
+ *     descriptors and the error if the request failed.
  */
 MonitoringApi.prototype.getDescriptors = function(metric, callback) {
   var self = this;
-  gapi.client.load(this.apiName_, this.apiVersion_, function() {
-    var request = gapi.client.cloudmonitoring.timeseriesDescriptors.list({
-      'metric': metric,
-      'project': self.projectId
+  var projectId = this.projectId;
+  this.cached_('descriptors:' + projectId + ':' + metric, function(done) {
+    self.execute_(function() {
+      return gapi.client.cloudmonitoring.timeseriesDescriptors.list({
+        'metric': metric,
+        'project': projectId
+      });
+    }, function(response, error) {
+      done(error ? [] : response.timeseries || [], error);
+    });
+  }, callback);
+};
+
+/**
+ * Get the counts of requests since the page was loaded, for debugging.
+ * @return {Object.<string, number>} The counts, with syntax
+ *     {requests: <sent>, retries: <retried>, failures: <failed>,
+ *      coalesced: <calls-sharing-another-call's-result>,
+ *      cacheHits: <lookups-from-cache>, cacheMisses: <lookups-sent>}.
+ */
+MonitoringApi.prototype.getStats = function() {
+  return $.extend({}, this.stats_);
+};
+
+/**
+ * Make a call unless an identical call is in progress, in which case the
+ * callback gets the result of that call.
+ * @param {string} key Key identifying the call.
+ * @param {Function} run Function making the call, which takes a function to
+ *     call with the result.
+ * @param {Function} callback Function to call with the result.
+ * @private
+ */
+MonitoringApi.prototype.coalesce_ = function(key, run, callback) {
+  var self = this;
+  if (this.inFlight_[key]) {
+    this.stats_.coalesced++;
+    this.inFlight_[key].push(callback);
+    return;
+  }
+
+  this.inFlight_[key] = [callback];
+  run(function() {
+    var callbacks = self.inFlight_[key];
+    delete self.inFlight_[key];
+    for (var index in callbacks) {
+      callbacks[index].apply(null, arguments);
+    }
+  });
+};
+
+/**
+ * Make a call unless its result is cached. Successful results are cached
+ * for the cache TTL.
+ * @param {string} key Key identifying the call.
+ * @param {Function} run Function making the call, which takes a function to
+ *     call with the result and the error if the call failed.
+ * @param {Function} callback Function to call with the result.
+ * @private
+ */
+MonitoringApi.prototype.cached_ = function(key, run, callback) {
+  var self = this;
+  var now = new Date().getTime();
+  var entry = this.cache_[key];
+  if (entry && now - entry.time < this.cacheTtl_) {
+    this.stats_.cacheHits++;
+    callback(entry.result);
+    return;
+  }
+
+  this.stats_.cacheMisses++;
+  this.coalesce_(key, function(done) {
+    run(function(result, error) {
+      if (!error) {
+        self.cache_[key] = {time: new Date().getTime(), result: result};
+      }
+      done(result, error);
     });
-    request.execute(function(response) {
-      callback(response.timeseries);
+  }, callback);
+};
+
+/**
+ * Load the API client library, once.
+ * @param {Function} callback Function to call once the library is loaded.
+ * @private
+ */
+MonitoringApi.prototype.loadClient_ = function(callback) {
+  var self = this;
+  if (this.clientLoaded_) {
+    callback();
+    return;
+  }
+  if (this.clientCallbacks_) {
+    this.clientCallbacks_.push(callback);
+    return;
+  }
+
+  this.clientCallbacks_ = [callback];
+  gapi.client.load(this.apiName_, this.apiVersion_, function() {
+    self.clientLoaded_ = true;
+    var callbacks = self.clientCallbacks_;
+    self.clientCallbacks_ = null;
+    for (var index in callbacks) {
+      callbacks[index]();
+    }
+  });
+};
+
+/**
+ * Send a request once fewer than the maximum number of requests are active.
+ * @param {Function} send Function sending the request, which takes a
+ *     function to call once the request returns.
+ * @private
+ */
+MonitoringApi.prototype.schedule_ = function(send) {
+  this.requestQueue_.push(send);
+  this.sendQueued_();
+};
+
+/**
+ * Send queued requests while fewer than the maximum number of requests are
+ * active.
+ * @private
+ */
+MonitoringApi.prototype.sendQueued_ = function() {
+  var self = this;
+  var returned = function() {
+    self.activeRequests_--;
+    self.sendQueued_();
+  };
+  while (this.activeRequests_ < this.maxConcurrentRequests_ &&
+      this.requestQueue_.length) {
+    this.activeRequests_++;
+    this.requestQueue_.shift()(returned);
+  }
+};
+
+/**
+ * Send a request to the API, retrying it with exponential backoff after a
+ * rate limit, server or network error. If the authorization has expired,
+ * it's renewed and the request sent again.
+ * @param {Function} createRequest Function returning a new gapi request.
+ * @param {Function} callback Function to call with the response, and with
+ *     the error if the request failed for good.
+ * @private
+ */
+MonitoringApi.prototype.execute_ = function(createRequest, callback) {
+  var self = this;
+  var attempt = 0;
+  var reauthorized = false;
+
+  // Requests waiting for a retry don't count against the maximum number of
+  // active requests.
+  var send = function() {
+    self.schedule_(function(returned) {
+      self.loadClient_(function() {
+        self.stats_.requests++;
+        createRequest().execute(function(response) {
+          returned();
+          var error = MonitoringApi.classifyError(response);
+          if (!error) {
+            self.notify_('success');
+            callback(response);
+          } else if (error.reason == 'auth' && !reauthorized) {
+            reauthorized = true;
+            self.stats_.retries++;
+            self.notify_('retry', error, 0);
+            self.reauthorize_(send);
+          } else if (error.retry && attempt < self.maxRetries_) {
+            var delay = self.retryDelay_(attempt++);
+            self.stats_.retries++;
+            self.notify_('retry', error, delay);
+            window.setTimeout(send, delay);
+          } else {
+            self.stats_.failures++;
+            self.notify_('failure', error);
+            callback(response, error);
+          }
+        });
+      });
     });
+  };
+  send();
+};
+
+/**
+ * Get the delay before a retry: exponential backoff with random jitter, so
+ * that the charts' requests don't all retry at the same time.
+ * @param {number} attempt The number of retries already made.
+ * @return {number} The delay in milliseconds.
+ * @private
+ */
+MonitoringApi.prototype.retryDelay_ = function(attempt) {
+  var delay = Math.min(
+      this.maxRetryDelay_, this.baseRetryDelay_ * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Renew the authorization without asking the user, then send the requests
+ * waiting for it. If the user needs to authorize again, the authorize
+ * button is shown and the requests are sent once the user clicks it.
+ * @param {Function} send Function sending the waiting request.
+ * @private
+ */
+MonitoringApi.prototype.reauthorize_ = function(send) {
+  var self = this;
+  if (this.authQueue_) {
+    this.authQueue_.push(send);
+    return;
+  }
+  this.authQueue_ = [send];
+
+  var sendQueued = function() {
+    var queue = self.authQueue_;
+    self.authQueue_ = null;
+    for (var request in queue) {
+      queue[request]();
+    }
+  };
+  gapi.auth.authorize({
+    client_id: this.clientId_,
+    scope: this.scopes_,
+    immediate: true}, this.handleAuthResult(sendQueued));
+};
+
+/**
+ * Pass the outcome of a request to the onRequest function.
+ * @param {string} outcome One of 'success', 'retry' or 'failure'.
+ * @param {Object} error The error, if the request failed (optional).
+ * @param {number} delay The delay before the retry (optional).
+ * @private
+ */
+MonitoringApi.prototype.notify_ = function(outcome, error, delay) {
+  if (this.onRequest) {
+    this.onRequest(outcome, error, delay);
+  }
+};
+
+/**
+ * Find out why a request failed from its response.
+ * @param {Object} response The response passed by gapi to the callback.
+ * @return {Object} The error, with syntax
+ *     {reason: <MonitoringApi.ERRORS key>, code: <HTTP-status>,
+ *      message: <text>, retry: <boolean>}, or null if the request succeeded.
+ */
+MonitoringApi.classifyError = function(response) {
+  if (response && !response.error) {
+    return null;
+  }
+  var error = (response && response.error) || {};
+  var code = error.code || 0;
+  var reasons = (error.errors || []).map(function(e) {
+    return e.reason;
   });
+
+  var reason = 'invalid';
+  if (code == 401) {
+    reason = 'auth';
+  } else if (code == 429 || reasons.indexOf('rateLimitExceeded') > -1 ||
+      reasons.indexOf('userRateLimitExceeded') > -1) {
+    reason = 'rateLimit';
+  } else if (code >= 500) {
+    reason = 'server';
+  } else if (code <= 0) {
+    // gapi reports failed connections without an HTTP status.
+    reason = 'network';
+  }
+  return {
+    reason: reason,
+    code: code,
+    message: error.message || MonitoringApi.ERRORS[reason],
+    retry: reason == 'rateLimit' || reason == 'server' || reason == 'network'
+  };
+};
+
+/**
+ * Convert a timespan string, such as '5m' or '2w', to milliseconds.
+ * @param {string} timespan A timespan accepted by the API.
+ * @return {number} The timespan in milliseconds.
+ */
+MonitoringApi.timespanToMillis = function(timespan) {
+  var units = {s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000};
+  var match = /^(\d+)([smhdw])$/.exec(timespan);
+  if (!match) {
+    throw new Error('Invalid timespan: ' + timespan);
+  }
+  return parseInt(match[1], 10) * units[match[2]];
 };
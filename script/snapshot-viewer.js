@@ -0,0 +1,168 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Read-only viewer for dashboard snapshots.
+ */
+
+/**
+ * The SnapshotViewer class displays the charts of a snapshot file chosen by
+ * the user. The charts are drawn from the data saved in the snapshot, so
+ * neither the API nor authorization is needed. Hovering and the legends
+ * work as on the dashboard, but the charts can't be changed.
+ * @constructor
+ */
+var SnapshotViewer = function() {
+  /**
+   * Charts of the displayed snapshot.
+   * @type {Array.<Chart>}
+   * @private
+   */
+  this.charts_ = [];
+};
+
+/**
+ * Initialize the snapshot file input.
+ */
+SnapshotViewer.prototype.init = function() {
+  $('#snapshot-file').change(this.openSnapshot_());
+};
+
+/**
+ * Read the snapshot file chosen by the user and display it. This method is
+ * called when a file is chosen in the snapshot file input.
+ * @return {Function} A function to open the snapshot.
+ * @private
+ */
+SnapshotViewer.prototype.openSnapshot_ = function() {
+  var self = this;
+  return function() {
+    var file = this.files[0];
+    if (!file) {
+      return;
+    }
+    // Clear the input so that the same file can be opened again.
+    $(this).val('');
+
+    var reader = new FileReader();
+    reader.onload = function() {
+      var snapshot = null;
+      try {
+        snapshot = Snapshot.fromJson(reader.result);
+      } catch (e) {
+        alert('Could not open snapshot. ' + e.message);
+        return;
+      }
+      self.display(snapshot);
+    };
+    reader.readAsText(file);
+  };
+};
+
+/**
+ * Replace the displayed charts with the charts of a snapshot.
+ * @param {Snapshot} snapshot The snapshot to display.
+ */
+SnapshotViewer.prototype.display = function(snapshot) {
+  for (var chart in this.charts_) {
+    this.charts_[chart].destroy();
+  }
+  this.charts_ = [];
+  $('#charts').empty();
+
+  $('#snapshot-title').text(snapshot.title || 'Snapshot');
+  $('#snapshot-details').text(
+      'Project ' + snapshot.projectId + ', ' +
+      SnapshotViewer.formatDate_(snapshot.oldest) + ' to ' +
+      SnapshotViewer.formatDate_(snapshot.youngest) + '. Taken ' +
+      SnapshotViewer.formatDate_(snapshot.created) + '.');
+
+  var events = snapshot.events.map(function(event) {
+    return {
+      time: new Date(event.time).getTime(),
+      description: event.description
+    };
+  });
+  for (var chart in snapshot.charts) {
+    this.displayChart_(snapshot.charts[chart], events);
+  }
+};
+
+/**
+ * Display a chart of the snapshot.
+ * @param {Object} snapshotChart The chart, with syntax
+ *     {title: <title>, config: <chart-configuration>, data: <series>}.
+ * @param {Array.<Object>} events Events to mark on the chart, with syntax
+ *     {time: <ms>, description: <text>}.
+ * @private
+ */
+SnapshotViewer.prototype.displayChart_ = function(snapshotChart, events) {
+  var self = this;
+
+  var chartContainer = document.createElement('div');
+  $(chartContainer).addClass('chartContainer');
+  var chartTitle = document.createElement('h4');
+  $(chartTitle).text(snapshotChart.title);
+  $(chartContainer).append(chartTitle);
+  var errorElement = document.createElement('div');
+  $(errorElement).addClass('error');
+  $(chartContainer).append(errorElement);
+  var chartFrame = document.createElement('div');
+  $(chartFrame).addClass('chart-frame');
+  var chartElement = document.createElement('div');
+  $(chartElement).addClass('chart');
+  $(chartFrame).append(chartElement);
+  $(chartContainer).append(chartFrame);
+  var chartLegend = document.createElement('div');
+  $(chartLegend).addClass('legend');
+  $(chartContainer).append(chartLegend);
+  $(chartContainer).toggleClass('widget', !!snapshotChart.config.widget);
+  $('#charts').append(chartContainer);
+
+  // The saved series are already transformed, aggregated and named after
+  // their project, so they're only copied, since Rickshaw changes them.
+  var config = $.extend(true, {}, snapshotChart.config);
+  config.projects = [];
+  var formatter = function(data) {
+    return $.extend(true, [], data);
+  };
+  var chart = new Chart(chartElement, chartLegend, errorElement, null,
+      config.query, formatter, config);
+  chart.onHover = function(time) {
+    for (var index in self.charts_) {
+      if (time === null) {
+        self.charts_[index].hideCrosshair();
+      } else {
+        self.charts_[index].showCrosshair(time);
+      }
+    }
+  };
+  chart.setEvents(events);
+  this.charts_.push(chart);
+  if (snapshotChart.data.length) {
+    chart.setData(snapshotChart.data);
+  } else {
+    $(chartElement).text('No data');
+  }
+};
+
+/**
+ * Format an ISO date for display.
+ * @param {string} date The ISO date.
+ * @return {string} The formatted date.
+ * @private
+ */
+SnapshotViewer.formatDate_ = function(date) {
+  return date ? new Date(date).toLocaleString() : 'unknown';
+};
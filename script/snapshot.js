@@ -0,0 +1,151 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Snapshots of a dashboard with the data it displayed.
+ */
+
+/**
+ * The Snapshot class freezes a dashboard as it was displayed: the settings
+ * of each chart and the data drawn on it, so that it can be viewed later
+ * without the API. Serialized as a JSON document with syntax:
+ *     {
+ *       snapshot: 1,
+ *       title: <dashboard-title>,
+ *       projectId: <project-id>,
+ *       created: <ISO-date>,
+ *       oldest: <ISO-date>,
+ *       youngest: <ISO-date>,
+ *       events: [{time: <ISO-date>, description: <text>}, ...],
+ *       charts: [{
+ *         title: <chart-title>,
+ *         config: <chart-configuration>,
+ *         data: [{name: <name>, color: <color>,
+ *                 data: [{x: <ms>, y: <value>}, ...]}, ...]
+ *       }, ...]
+ *     }
+ * The chart configuration has the syntax of the charts of a Dashboard.
+ * @constructor
+ * @param {Object} doc The snapshot document.
+ */
+var Snapshot = function(doc) {
+  /**
+   * Title of the dashboard.
+   * @type {string}
+   */
+  this.title = doc.title || '';
+
+  /**
+   * ID of the project the data came from.
+   * @type {string}
+   */
+  this.projectId = doc.projectId || '';
+
+  /**
+   * Time the snapshot was taken, as an ISO date.
+   * @type {string}
+   */
+  this.created = doc.created;
+
+  /**
+   * Start of the time range displayed, as an ISO date.
+   * @type {string}
+   */
+  this.oldest = doc.oldest;
+
+  /**
+   * End of the time range displayed, as an ISO date.
+   * @type {string}
+   */
+  this.youngest = doc.youngest;
+
+  /**
+   * Events marked on the charts.
+   * @type {Array.<Object>}
+   */
+  this.events = doc.events || [];
+
+  /**
+   * Charts with their settings and data.
+   * @type {Array.<Object>}
+   */
+  this.charts = doc.charts || [];
+};
+
+/**
+ * Version of the snapshot format written by this code.
+ * @type {number}
+ */
+Snapshot.VERSION = 1;
+
+/**
+ * Parse a snapshot from a JSON document, checking its syntax.
+ * @param {string} json The JSON document.
+ * @return {Snapshot} The snapshot.
+ * @throws {Error} If the document isn't a valid snapshot.
+ */
+Snapshot.fromJson = function(json) {
+  var doc = null;
+  try {
+    doc = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Snapshot is not valid JSON: ' + e.message);
+  }
+  if (!doc || typeof(doc) != 'object' || !doc.snapshot) {
+    throw new Error('File is not a snapshot.');
+  }
+  if (doc.snapshot > Snapshot.VERSION) {
+    throw new Error('Unsupported snapshot version ' + doc.snapshot + '.');
+  }
+  if (!$.isArray(doc.charts)) {
+    throw new Error('Snapshot charts must be a list.');
+  }
+  for (var index in doc.charts) {
+    var chart = doc.charts[index];
+    var prefix = 'Chart ' + (Number(index) + 1) + ': ';
+    if (!chart || !chart.config || !chart.config.query ||
+        !chart.config.query.metric) {
+      throw new Error(prefix + 'metric required.');
+    }
+    if (!$.isArray(chart.data)) {
+      throw new Error(prefix + 'data must be a list.');
+    }
+    for (var series in chart.data) {
+      if (!chart.data[series] || !$.isArray(chart.data[series].data)) {
+        throw new Error(prefix + 'invalid series.');
+      }
+    }
+  }
+  if (doc.events !== undefined && !$.isArray(doc.events)) {
+    throw new Error('Snapshot events must be a list.');
+  }
+  return new Snapshot(doc);
+};
+
+/**
+ * Serialize the snapshot as a JSON document.
+ * @return {string} The JSON document.
+ */
+Snapshot.prototype.toJson = function() {
+  return JSON.stringify({
+    snapshot: Snapshot.VERSION,
+    title: this.title,
+    projectId: this.projectId,
+    created: this.created,
+    oldest: this.oldest,
+    youngest: this.youngest,
+    events: this.events,
+    charts: this.charts
+  });
+};
@@ -0,0 +1,349 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Keeps the timeseries of a query so that only new data is
+ * fetched from the API.
+ */
+
+/**
+ * The TimeseriesCache class remembers the timeseries last returned for a
+ * query and the time range they cover. When the query is run again, only
+ * the parts of the new range that aren't covered are fetched, such as the
+ * last few minutes of a live chart or the earlier days of a longer
+ * timespan, and merged into the timeseries. Points outside the new range
+ * are dropped. Changing anything but the time range of the query, such as
+ * the labels, empties the cache.
+ * @constructor
+ * @param {MonitoringApi} api The Monitoring API object.
+ */
+var TimeseriesCache = function(api) {
+  /**
+   * Monitoring API object.
+   * @type {MonitoringApi}
+   * @private
+   */
+  this.api_ = api;
+
+  /**
+   * The query without its time range, as a JSON string, or null if the
+   * cache is empty.
+   * @type {string}
+   * @private
+   */
+  this.key_ = null;
+
+  /**
+   * Start of the range covered by the cache in milliseconds.
+   * @type {number}
+   * @private
+   */
+  this.oldest_ = 0;
+
+  /**
+   * End of the range covered by the cache in milliseconds.
+   * @type {number}
+   * @private
+   */
+  this.youngest_ = 0;
+
+  /**
+   * Cached timeseries, keyed by their labels, with points in descending
+   * time order as returned by the API.
+   * @type {Object.<string, Object>}
+   * @private
+   */
+  this.timeseries_ = {};
+
+  /**
+   * Time before the end of the cached range that is fetched again, in
+   * milliseconds, since points can be written to the API a few minutes
+   * after their end time.
+   * @type {number}
+   * @private
+   */
+  this.overlap_ = 5 * 60 * 1000;
+
+  /**
+   * True while the gaps of a call to getData are being fetched. Only one
+   * call fetches at a time, so that its response is merged into the range
+   * it was fetched for.
+   * @type {boolean}
+   * @private
+   */
+  this.fetching_ = false;
+
+  /**
+   * The call waiting for the fetch in progress, with syntax
+   * {query: <query>, callback: <callback>}, or null. A newer call replaces
+   * it, which is then reported as superseded.
+   * @type {Object}
+   * @private
+   */
+  this.next_ = null;
+};
+
+/**
+ * Reason of the error passed to the callback of a call to getData that was
+ * replaced by a newer call before its data was fetched. The caller should
+ * ignore it and wait for the newer call.
+ * @type {string}
+ */
+TimeseriesCache.SUPERSEDED = 'superseded';
+
+/**
+ * Get the timeseries for a query, fetching only what isn't cached. Takes
+ * the same arguments as MonitoringApi.getData. While data is being fetched
+ * for an earlier call, the call waits for it to finish.
+ * @param {Object} query Query parameters for the call to the API.
+ * @param {Function} callback Method to call with the timeseries, and with
+ *     the error if a request failed or the call was superseded.
+ */
+TimeseriesCache.prototype.getData = function(query, callback) {
+  var range = TimeseriesCache.range_(query);
+  if (!range) {
+    callback([], TimeseriesCache.error_(
+        'invalid', 'Invalid timespan or time window.'));
+    return;
+  }
+  if (this.fetching_) {
+    if (this.next_) {
+      this.next_.callback([], TimeseriesCache.error_(
+          TimeseriesCache.SUPERSEDED, 'Replaced by a newer query.'));
+    }
+    this.next_ = {query: query, callback: callback};
+    return;
+  }
+  this.fetch_(query, range, callback);
+};
+
+/**
+ * Fetch the parts of a query's range that aren't cached, then run the call
+ * that waited for it, if any.
+ * @param {Object} query Query parameters for the call to the API.
+ * @param {Object} range The range of the query with syntax
+ *     {oldest: <ms>, youngest: <ms>}.
+ * @param {Function} callback Method to call with the timeseries, and with
+ *     the error if a request failed or the query was changed meanwhile.
+ * @private
+ */
+TimeseriesCache.prototype.fetch_ = function(query, range, callback) {
+  var self = this;
+  var key = TimeseriesCache.key_(query);
+
+  // Start again if the query changed or the ranges don't overlap.
+  if (key != this.key_ || range.youngest < this.oldest_ ||
+      range.oldest > this.youngest_) {
+    this.key_ = key;
+    this.oldest_ = range.oldest;
+    this.youngest_ = range.oldest;
+    this.timeseries_ = {};
+  }
+
+  var gaps = [];
+  if (range.oldest < this.oldest_) {
+    gaps.push({oldest: range.oldest, youngest: this.oldest_});
+  }
+  if (range.youngest > this.youngest_) {
+    gaps.push({
+      oldest: Math.max(range.oldest, this.youngest_ - this.overlap_),
+      youngest: range.youngest
+    });
+  }
+
+  var results = [];
+  var pending = gaps.length;
+  var receive = function(index) {
+    return function(timeseries, error) {
+      results[index] = {timeseries: timeseries, error: error};
+      pending--;
+      if (pending) {
+        return;
+      }
+      self.fetching_ = false;
+      var next = self.next_;
+      self.next_ = null;
+
+      // A waiting call for another query, such as new labels, empties the
+      // cache, so this response is no longer wanted.
+      var failed = null;
+      for (var result in results) {
+        failed = failed || results[result].error;
+      }
+      if (next && TimeseriesCache.key_(next.query) != key) {
+        callback([], TimeseriesCache.error_(
+            TimeseriesCache.SUPERSEDED, 'Replaced by a newer query.'));
+      } else if (failed) {
+        callback([], failed);
+      } else {
+        for (var result in results) {
+          self.merge_(results[result].timeseries);
+        }
+        self.trim_(range);
+        callback(self.getTimeseries_());
+      }
+      if (next) {
+        self.getData(next.query, next.callback);
+      }
+    };
+  };
+
+  if (!gaps.length) {
+    this.trim_(range);
+    callback(this.getTimeseries_());
+    return;
+  }
+  this.fetching_ = true;
+  for (var gap in gaps) {
+    var gapQuery = $.extend({}, query, {
+      oldest: new Date(gaps[gap].oldest).toISOString(),
+      youngest: new Date(gaps[gap].youngest).toISOString()
+    });
+    delete gapQuery.timespan;
+    this.api_.getData(gapQuery, receive(gap));
+  }
+};
+
+/**
+ * Add fetched timeseries to the cache. Fetched points replace cached points
+ * with the same end time.
+ * @param {Array.<Object>} timeseries Timeseries returned by the API.
+ * @private
+ */
+TimeseriesCache.prototype.merge_ = function(timeseries) {
+  for (var index in timeseries) {
+    var key = JSON.stringify(timeseries[index].timeseriesDesc.labels);
+    var cached = this.timeseries_[key];
+    var points = timeseries[index].points || [];
+    this.timeseries_[key] = $.extend({}, timeseries[index], {
+      points: cached ? TimeseriesCache.mergePoints_(cached.points, points) :
+          points.slice()
+    });
+  }
+};
+
+/**
+ * Drop the points outside a range, and the timeseries left without points.
+ * @param {Object} range The range with syntax
+ *     {oldest: <ms>, youngest: <ms>}.
+ * @private
+ */
+TimeseriesCache.prototype.trim_ = function(range) {
+  for (var key in this.timeseries_) {
+    var points = this.timeseries_[key].points.filter(function(point) {
+      var end = new Date(point.end).getTime();
+      return end >= range.oldest && end <= range.youngest;
+    });
+    if (points.length) {
+      this.timeseries_[key].points = points;
+    } else {
+      delete this.timeseries_[key];
+    }
+  }
+  this.oldest_ = range.oldest;
+  this.youngest_ = range.youngest;
+};
+
+/**
+ * Get copies of the cached timeseries, which the caller may change.
+ * @return {Array.<Object>} The timeseries.
+ * @private
+ */
+TimeseriesCache.prototype.getTimeseries_ = function() {
+  var timeseries = [];
+  for (var key in this.timeseries_) {
+    timeseries.push($.extend({}, this.timeseries_[key], {
+      points: this.timeseries_[key].points.slice()
+    }));
+  }
+  return timeseries;
+};
+
+/**
+ * Create an error for the callback of getData, with the syntax of the
+ * errors of MonitoringApi.classifyError.
+ * @param {string} reason The reason of the error.
+ * @param {string} message The message to display.
+ * @return {Object} The error.
+ * @private
+ */
+TimeseriesCache.error_ = function(reason, message) {
+  return {reason: reason, code: null, message: message, retry: false};
+};
+
+/**
+ * Get the query without its time range and page token.
+ * @param {Object} query Query parameters for the call to the API.
+ * @return {string} The query as a JSON string.
+ * @private
+ */
+TimeseriesCache.key_ = function(query) {
+  var key = $.extend({}, query);
+  delete key.timespan;
+  delete key.oldest;
+  delete key.youngest;
+  delete key.pageToken;
+  return JSON.stringify(key);
+};
+
+/**
+ * Get the time range of a query. A query without youngest ends now.
+ * @param {Object} query Query parameters for the call to the API.
+ * @return {Object} The range with syntax {oldest: <ms>, youngest: <ms>}, or
+ *     null if the timespan or dates are invalid.
+ * @private
+ */
+TimeseriesCache.range_ = function(query) {
+  var youngest = query.youngest ?
+      new Date(query.youngest).getTime() : new Date().getTime();
+  var oldest = NaN;
+  if (query.oldest) {
+    oldest = new Date(query.oldest).getTime();
+  } else if (/^\d+[smhdw]$/.test(query.timespan)) {
+    oldest = youngest - MonitoringApi.timespanToMillis(query.timespan);
+  }
+  if (isNaN(oldest) || isNaN(youngest)) {
+    return null;
+  }
+  return {oldest: oldest, youngest: youngest};
+};
+
+/**
+ * Merge two lists of points in descending time order. Points of the second
+ * list replace points of the first list with the same end time.
+ * @param {Array.<Object>} cached The cached points.
+ * @param {Array.<Object>} fetched The fetched points.
+ * @return {Array.<Object>} The merged points, in descending time order.
+ * @private
+ */
+TimeseriesCache.mergePoints_ = function(cached, fetched) {
+  var merged = [];
+  var i = 0;
+  var j = 0;
+  while (i < cached.length || j < fetched.length) {
+    var cachedEnd = i < cached.length ?
+        new Date(cached[i].end).getTime() : -Infinity;
+    var fetchedEnd = j < fetched.length ?
+        new Date(fetched[j].end).getTime() : -Infinity;
+    if (fetchedEnd >= cachedEnd) {
+      merged.push(fetched[j++]);
+      if (fetchedEnd == cachedEnd) {
+        i++;
+      }
+    } else {
+      merged.push(cached[i++]);
+    }
+  }
+  return merged;
+};
@@ -0,0 +1,182 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Transforms applied to chart series, such as converting
+ * cumulative counters to rates.
+ */
+
+/**
+ * The Transform class converts the values of formatted series before they
+ * are displayed. Cumulative counters can be turned into the difference
+ * between consecutive points (delta) or the difference per second (rate),
+ * and the values can then be converted to another unit. A transform is saved
+ * in a dashboard with syntax:
+ *     {type: <'raw'|'delta'|'rate'>, unit: <unit-name>}
+ * @constructor
+ * @param {Object} config The transform settings (optional). By default the
+ *     values are displayed as they are.
+ */
+var Transform = function(config) {
+  config = config || {};
+
+  /**
+   * Type of transform, one of Transform.TYPES.
+   * @type {string}
+   */
+  this.type = config.type || 'raw';
+
+  /**
+   * Unit to convert the values to, one of Transform.UNITS, or an empty
+   * string to keep the metric's unit.
+   * @type {string}
+   */
+  this.unit = config.unit || '';
+};
+
+/**
+ * Transform types, mapped to the text displayed in the transform selector.
+ * @type {Object.<string, string>}
+ */
+Transform.TYPES = {
+  raw: 'Raw value',
+  delta: 'Delta per interval',
+  rate: 'Rate per second'
+};
+
+/**
+ * Units the values can be converted to, with the factor by which values are
+ * multiplied. CPU seconds per second are cores, so cores only scale by one
+ * but label rates of CPU time.
+ * @type {Object.<string, Object>}
+ */
+Transform.UNITS = {
+  '': {text: 'Metric unit', scale: 1},
+  KB: {text: 'KB', scale: 1e-3},
+  MB: {text: 'MB', scale: 1e-6},
+  GB: {text: 'GB', scale: 1e-9},
+  cores: {text: 'Cores', scale: 1}
+};
+
+/**
+ * Choose the transform for a metric from its descriptor. Cumulative
+ * counters are displayed as rates, byte counters in MB/s and CPU time in
+ * cores.
+ * @param {Object} metric Metric object returned from the API.
+ * @return {Object} The transform settings, with syntax
+ *     {type: <type>, unit: <unit>}.
+ */
+Transform.forMetric = function(metric) {
+  if (metric.typeDescriptor.metricType != 'cumulative' ||
+      metric.typeDescriptor.valueType == 'distribution') {
+    return {type: 'raw', unit: ''};
+  }
+  var unit = '';
+  if (/bytes/.test(metric.name)) {
+    unit = 'MB';
+  } else if (/cpu\/usage_time$/.test(metric.name)) {
+    unit = 'cores';
+  }
+  return {type: 'rate', unit: unit};
+};
+
+/**
+ * Check whether transform settings are valid.
+ * @param {Object} config The transform settings.
+ * @return {boolean} True if the settings are valid.
+ */
+Transform.isValid = function(config) {
+  return !!config && Transform.TYPES.hasOwnProperty(config.type) &&
+      (config.unit === undefined ||
+          Transform.UNITS.hasOwnProperty(config.unit));
+};
+
+/**
+ * Get the settings of the transform, for saving in a dashboard.
+ * @return {Object} The transform settings.
+ */
+Transform.prototype.getConfig = function() {
+  return {type: this.type, unit: this.unit};
+};
+
+/**
+ * Describe the unit of the transformed values, such as 'MB/s'.
+ * @return {string} The unit, or an empty string if it's the metric's unit.
+ */
+Transform.prototype.describeUnit = function() {
+  if (!this.unit) {
+    return this.type == 'rate' ? 'per second' : '';
+  }
+  if (this.unit == 'cores') {
+    return 'cores';
+  }
+  return this.type == 'rate' ? this.unit + '/s' : this.unit;
+};
+
+/**
+ * Apply the transform to formatted series. The series are not modified.
+ * @param {Array.<Object>} series Series with syntax
+ *     [{name: <name>, data: [{x: <time>, y: <value>}, ...]}, ...], with
+ *     points in ascending time order.
+ * @return {Array.<Object>} The transformed series.
+ */
+Transform.prototype.apply = function(series) {
+  var scale = Transform.UNITS[this.unit] ? Transform.UNITS[this.unit].scale : 1;
+  if (this.type == 'raw' && scale == 1) {
+    return series;
+  }
+
+  var transformedSeries = [];
+  for (var index in series) {
+    var data = series[index].data;
+    if (this.type != 'raw') {
+      data = this.differentiate_(data);
+    }
+    var scaledData = [];
+    for (var point in data) {
+      scaledData.push({x: data[point].x, y: data[point].y * scale});
+    }
+    transformedSeries.push($.extend({}, series[index], {data: scaledData}));
+  }
+  return transformedSeries;
+};
+
+/**
+ * Compute the difference between consecutive points, or the difference per
+ * second for rates. The first point has no previous point and is dropped.
+ * A decrease means the counter was reset, for example when an instance
+ * restarted, so the difference is the value counted since the reset.
+ * @param {Array.<Object>} data Points with syntax
+ *     [{x: <time>, y: <value>}, ...], in ascending time order.
+ * @return {Array.<Object>} The differences.
+ * @private
+ */
+Transform.prototype.differentiate_ = function(data) {
+  var differences = [];
+  for (var i = 1; i < data.length; i++) {
+    var delta = data[i].y - data[i - 1].y;
+    if (delta < 0) {
+      delta = data[i].y;
+    }
+    if (this.type == 'rate') {
+      var seconds = (data[i].x - data[i - 1].x) / 1000;
+      if (seconds <= 0) {
+        continue;
+      }
+      delta /= seconds;
+    }
+    differences.push({x: data[i].x, y: delta});
+  }
+  return differences;
+};
@@ -0,0 +1,218 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Encodes the view state in the URL hash so views can be
+ * shared as links.
+ */
+
+/**
+ * The ViewState class holds everything needed to restore a view: the
+ * project, the dashboard, the timespan or fixed time window and the metric
+ * and label filters of each chart. Encoded in the URL hash with syntax:
+ *     #project=<project-id>&dashboard=<title>&timespan=<timespan>&
+ *     oldest=<ISO-date>&youngest=<ISO-date>&chart=<metric>+<label>...
+ * @constructor
+ * @param {string} projectId The project ID.
+ * @param {string} timespan The selected timespan.
+ * @param {Array.<Object>} charts A list of objects with syntax
+ *     {metric: <metric-name>, labels: ['label==value', ...]}, or null if the
+ *     view doesn't specify charts.
+ * @param {Object} timeWindow A fixed time window with syntax
+ *     {oldest: <ISO-date>, youngest: <ISO-date>}, or null for a live view.
+ * @param {string} title The title of the dashboard (optional).
+ */
+var ViewState = function(projectId, timespan, charts, timeWindow, title) {
+  /**
+   * Project ID.
+   * @type {string}
+   */
+  this.projectId = projectId;
+
+  /**
+   * Selected timespan.
+   * @type {string}
+   */
+  this.timespan = timespan;
+
+  /**
+   * Metric and label filters of each chart.
+   * @type {Array.<Object>}
+   */
+  this.charts = charts;
+
+  /**
+   * Fixed time window.
+   * @type {Object}
+   */
+  this.timeWindow = timeWindow || null;
+
+  /**
+   * Title of the dashboard.
+   * @type {string}
+   */
+  this.title = title || null;
+};
+
+/**
+ * Create a view state from a URL hash.
+ * @param {string} hash The URL hash, with or without the leading '#'.
+ * @return {ViewState} A ViewState object, or null if the hash is empty.
+ */
+ViewState.fromHash = function(hash) {
+  hash = hash.replace(/^#/, '');
+  if (!hash) {
+    return null;
+  }
+
+  var state = new ViewState(null, null, null);
+  var timeWindow = {};
+  var params = hash.split('&');
+  for (var param in params) {
+    var separator = params[param].indexOf('=');
+    if (separator == -1) {
+      continue;
+    }
+    var key = params[param].substring(0, separator);
+    var value = params[param].substring(separator + 1);
+
+    if (key == 'project') {
+      state.projectId = decodeURIComponent(value);
+    } else if (key == 'dashboard') {
+      state.title = decodeURIComponent(value);
+    } else if (key == 'timespan') {
+      // Ignore timespans the slider can't show, which the API would reject.
+      var timespan = decodeURIComponent(value);
+      if (Dashboard.TIMESPANS.indexOf(timespan) > -1) {
+        state.timespan = timespan;
+      }
+    } else if (key == 'oldest' || key == 'youngest') {
+      timeWindow[key] = decodeURIComponent(value);
+    } else if (key == 'chart') {
+      // The metric and its labels are separated by '+'. Both are encoded so
+      // they can't contain a literal '+'.
+      var parts = value.split('+');
+      var chart = {metric: decodeURIComponent(parts[0]), labels: []};
+      for (var i = 1; i < parts.length; i++) {
+        chart.labels.push(decodeURIComponent(parts[i]));
+      }
+      state.charts = state.charts || [];
+      state.charts.push(chart);
+    }
+  }
+
+  // Ignore a time window whose dates can't be read.
+  var oldest = new Date(timeWindow.oldest).getTime();
+  var youngest = new Date(timeWindow.youngest).getTime();
+  if (timeWindow.oldest && timeWindow.youngest && !isNaN(oldest) &&
+      !isNaN(youngest) && oldest < youngest) {
+    state.timeWindow = timeWindow;
+  }
+  return state;
+};
+
+/**
+ * Create a view state from a dashboard.
+ * @param {string} projectId The project ID.
+ * @param {Dashboard} dashboard The displayed dashboard.
+ * @param {Object} timeWindow The displayed time window, or null for a live
+ *     view.
+ * @return {ViewState} A ViewState object.
+ */
+ViewState.fromDashboard = function(projectId, dashboard, timeWindow) {
+  var charts = [];
+  for (var chart in dashboard.charts) {
+    charts.push({
+      metric: dashboard.charts[chart].query.metric,
+      labels: dashboard.charts[chart].query.labels || []
+    });
+  }
+  return new ViewState(
+      projectId, dashboard.timespan, charts, timeWindow, dashboard.title);
+};
+
+/**
+ * Encode a URL hash component, keeping characters that are legal in a URL
+ * hash readable.
+ * @param {string} value The value to encode.
+ * @return {string} The encoded value.
+ * @private
+ */
+ViewState.encode_ = function(value) {
+  return encodeURIComponent(value).replace(/%2F/g, '/').replace(/%3A/g, ':');
+};
+
+/**
+ * Encode the view state as a URL hash.
+ * @return {string} The URL hash, including the leading '#'.
+ */
+ViewState.prototype.toHash = function() {
+  var params = [];
+  if (this.projectId) {
+    params.push('project=' + ViewState.encode_(this.projectId));
+  }
+  if (this.title) {
+    params.push('dashboard=' + ViewState.encode_(this.title));
+  }
+  if (this.timespan) {
+    params.push('timespan=' + ViewState.encode_(this.timespan));
+  }
+  if (this.timeWindow) {
+    params.push('oldest=' + ViewState.encode_(this.timeWindow.oldest));
+    params.push('youngest=' + ViewState.encode_(this.timeWindow.youngest));
+  }
+  for (var chart in this.charts) {
+    var parts = [ViewState.encode_(this.charts[chart].metric)];
+    for (var label in this.charts[chart].labels) {
+      parts.push(ViewState.encode_(this.charts[chart].labels[label]));
+    }
+    params.push('chart=' + parts.join('+'));
+  }
+  return '#' + params.join('&');
+};
+
+/**
+ * Create the dashboard described by the view state. Settings of charts that
+ * aren't encoded in the URL, like the renderer, are kept from the charts of
+ * the base dashboard at the same position if they show the same metric.
+ * @param {Dashboard} base The saved dashboard with the view's title, or the
+ *     dashboard currently displayed.
+ * @return {Dashboard} A Dashboard object.
+ */
+ViewState.prototype.toDashboard = function(base) {
+  var charts = base.charts;
+  if (this.charts) {
+    charts = [];
+    for (var chart in this.charts) {
+      var config = {query: {}};
+      if (base.charts[chart] &&
+          base.charts[chart].query.metric == this.charts[chart].metric) {
+        config = $.extend(true, {}, base.charts[chart]);
+      }
+      config.query.metric = this.charts[chart].metric;
+      config.query.labels = this.charts[chart].labels.slice();
+      if (!config.query.labels.length) {
+        delete config.query.labels;
+      }
+      charts.push(config);
+    }
+  }
+
+  var timespan = this.timespan || base.timespan;
+  for (var chart in charts) {
+    charts[chart].query.timespan = timespan;
+  }
+  return new Dashboard(this.title || base.title, timespan, charts,
+      base.events, base.eventFeed);
+};
@@ -0,0 +1,416 @@
+/**
+ * Copyright 2014 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @fileoverview Widgets displaying chart data as something other than a
+ * time series graph: a single value, a gauge or a table.
+ */
+
+/**
+ * The StatWidget class displays the current value of a chart's data as a
+ * big number, with a sparkline of the values over the timespan and an arrow
+ * showing the trend since the start of the timespan. If the chart has
+ * several series, their sum is displayed.
+ * @constructor
+ * @param {Element} element The HTML element in which to display the widget.
+ * @param {Object} options Widget settings. Not used.
+ */
+var StatWidget = function(element, options) {
+  /**
+   * Element in which to display the widget.
+   * @type {Element}
+   * @private
+   */
+  this.element_ = element;
+
+  /**
+   * Width of the sparkline, in pixels.
+   * @type {number}
+   * @private
+   */
+  this.sparklineWidth_ = 200;
+
+  /**
+   * Height of the sparkline, in pixels.
+   * @type {number}
+   * @private
+   */
+  this.sparklineHeight_ = 40;
+};
+
+/**
+ * Display the data.
+ * @param {Array.<Object>} data The chart's formatted series.
+ */
+StatWidget.prototype.render = function(data) {
+  var summary = StatWidget.summarize(data);
+  $(this.element_).empty();
+  if (!summary) {
+    $(this.element_).text('No data');
+    return;
+  }
+
+  var stat = document.createElement('div');
+  $(stat).addClass('stat-widget');
+
+  var value = document.createElement('div');
+  $(value).addClass('stat-value');
+  $(value).text(StatWidget.format(summary.value));
+  $(stat).append(value);
+
+  // Show the change since the first value of the timespan.
+  var first = summary.points[0].y;
+  var trend = document.createElement('div');
+  $(trend).addClass('stat-trend');
+  if (summary.value > first) {
+    $(trend).addClass('up');
+    $(trend).text('\u25b2 ' + StatWidget.formatChange_(first, summary.value));
+  } else if (summary.value < first) {
+    $(trend).addClass('down');
+    $(trend).text('\u25bc ' + StatWidget.formatChange_(first, summary.value));
+  } else {
+    $(trend).text('\u25b6 no change');
+  }
+  $(stat).append(trend);
+
+  $(stat).append(this.createSparkline_(summary.points));
+
+  var name = document.createElement('div');
+  $(name).addClass('stat-name');
+  $(name).text(summary.name);
+  $(stat).append(name);
+
+  $(this.element_).append(stat);
+};
+
+/**
+ * Draw a line of the values over the timespan.
+ * @param {Array.<Object>} points Points with syntax {x: <time>, y: <value>}.
+ * @return {Element} An SVG Element.
+ * @private
+ */
+StatWidget.prototype.createSparkline_ = function(points) {
+  var x = d3.scale.linear()
+      .domain(d3.extent(points, function(point) { return point.x; }))
+      .range([0, this.sparklineWidth_]);
+  var y = d3.scale.linear()
+      .domain(d3.extent(points, function(point) { return point.y; }))
+      .range([this.sparklineHeight_ - 1, 1]);
+  var line = d3.svg.line()
+      .x(function(point) { return x(point.x); })
+      .y(function(point) { return y(point.y); });
+
+  var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  d3.select(svg)
+      .attr('class', 'sparkline')
+      .attr('width', this.sparklineWidth_)
+      .attr('height', this.sparklineHeight_)
+    .append('path')
+      .attr('d', line(points));
+  return svg;
+};
+
+/**
+ * Reduce a chart's series to one. Several series are summed.
+ * @param {Array.<Object>} data The chart's formatted series.
+ * @return {Object} Object with syntax
+ *     {name: <text>, value: <latest-value>, points: [...]}, or null if there
+ *     is no data.
+ */
+StatWidget.summarize = function(data) {
+  data = (data || []).filter(function(series) {
+    return series.data && series.data.length;
+  });
+  if (!data.length) {
+    return null;
+  }
+
+  var name = data[0].name;
+  var points = data[0].data;
+  if (data.length > 1) {
+    name = 'Sum of ' + data.length + ' series';
+    points = new Aggregation({method: 'sum'}).apply(data)[0].data;
+  }
+  return {name: name, value: points[points.length - 1].y, points: points};
+};
+
+/**
+ * Format a value for display.
+ * @param {number} value The value.
+ * @return {string} The formatted value.
+ */
+StatWidget.format = function(value) {
+  // formatKMBT displays zero as an empty string.
+  return value ? Rickshaw.Fixtures.Number.formatKMBT(value) : String(value);
+};
+
+/**
+ * Format the change between two values as a percentage.
+ * @param {number} from The earlier value.
+ * @param {number} to The later value.
+ * @return {string} The formatted change.
+ * @private
+ */
+StatWidget.formatChange_ = function(from, to) {
+  if (!from) {
+    return StatWidget.format(Math.abs(to - from));
+  }
+  return Math.abs(Math.round((to - from) / Math.abs(from) * 100)) + '%';
+};
+
+/**
+ * The GaugeWidget class displays the current value of a chart's data on a
+ * half circle between a minimum and a maximum. If the chart has several
+ * series, their sum is displayed.
+ * @constructor
+ * @param {Element} element The HTML element in which to display the widget.
+ * @param {Object} options Widget settings, with syntax
+ *     {min: <value>, max: <value>}. The maximum defaults to the largest
+ *     value in the timespan.
+ */
+var GaugeWidget = function(element, options) {
+  /**
+   * Element in which to display the widget.
+   * @type {Element}
+   * @private
+   */
+  this.element_ = element;
+
+  /**
+   * Value at the start of the gauge.
+   * @type {number}
+   * @private
+   */
+  this.min_ = typeof(options.min) == 'number' ? options.min : 0;
+
+  /**
+   * Value at the end of the gauge, or null to use the largest value.
+   * @type {number}
+   * @private
+   */
+  this.max_ = typeof(options.max) == 'number' ? options.max : null;
+
+  /**
+   * Radius of the gauge, in pixels.
+   * @type {number}
+   * @private
+   */
+  this.radius_ = 100;
+};
+
+/**
+ * Display the data.
+ * @param {Array.<Object>} data The chart's formatted series.
+ */
+GaugeWidget.prototype.render = function(data) {
+  var summary = StatWidget.summarize(data);
+  $(this.element_).empty();
+  if (!summary) {
+    $(this.element_).text('No data');
+    return;
+  }
+
+  var max = this.max_;
+  if (max === null) {
+    max = d3.max(summary.points, function(point) { return point.y; });
+  }
+  var range = max - this.min_;
+  var fraction = range > 0 ? (summary.value - this.min_) / range : 0;
+  fraction = Math.max(0, Math.min(1, fraction));
+
+  var gauge = document.createElement('div');
+  $(gauge).addClass('gauge-widget');
+
+  var arc = d3.svg.arc()
+      .innerRadius(this.radius_ * 0.7)
+      .outerRadius(this.radius_);
+  var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  var group = d3.select(svg)
+      .attr('width', this.radius_ * 2)
+      .attr('height', this.radius_)
+    .append('g')
+      .attr('transform',
+          'translate(' + this.radius_ + ',' + this.radius_ + ')');
+  group.append('path')
+      .attr('class', 'gauge-background')
+      .attr('d', arc({startAngle: -Math.PI / 2, endAngle: Math.PI / 2}));
+  group.append('path')
+      .attr('class', 'gauge-value')
+      .attr('d', arc({
+        startAngle: -Math.PI / 2,
+        endAngle: -Math.PI / 2 + Math.PI * fraction
+      }));
+  $(gauge).append(svg);
+
+  var value = document.createElement('div');
+  $(value).addClass('gauge-label');
+  $(value).text(StatWidget.format(summary.value));
+  $(gauge).append(value);
+
+  var bounds = document.createElement('div');
+  $(bounds).addClass('gauge-bounds');
+  $(bounds).text(StatWidget.format(this.min_) + ' \u2013 ' +
+      StatWidget.format(max));
+  $(gauge).append(bounds);
+
+  var name = document.createElement('div');
+  $(name).addClass('stat-name');
+  $(name).text(summary.name);
+  $(gauge).append(name);
+
+  $(this.element_).append(gauge);
+};
+
+/**
+ * The TableWidget class lists the series with the highest current values,
+ * for example the instances with the highest CPU usage. Clicking a column
+ * header sorts the table by that column.
+ * @constructor
+ * @param {Element} element The HTML element in which to display the widget.
+ * @param {Object} options Widget settings, with syntax {limit: <rows>}.
+ */
+var TableWidget = function(element, options) {
+  /**
+   * Element in which to display the widget.
+   * @type {Element}
+   * @private
+   */
+  this.element_ = element;
+
+  /**
+   * Maximum number of rows.
+   * @type {number}
+   * @private
+   */
+  this.limit_ = options.limit || 10;
+
+  /**
+   * Column by which the rows are sorted.
+   * @type {string}
+   * @private
+   */
+  this.sortColumn_ = 'current';
+
+  /**
+   * True if the rows are sorted in ascending order.
+   * @type {boolean}
+   * @private
+   */
+  this.ascending_ = false;
+
+  /**
+   * Rows last displayed, kept so the table can be sorted again.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.rows_ = [];
+};
+
+/**
+ * Columns of the table, mapped to their header text.
+ * @type {Object.<string, string>}
+ */
+TableWidget.COLUMNS = {
+  name: 'Series',
+  current: 'Current',
+  average: 'Average',
+  max: 'Max'
+};
+
+/**
+ * Display the data.
+ * @param {Array.<Object>} data The chart's formatted series.
+ */
+TableWidget.prototype.render = function(data) {
+  this.rows_ = [];
+  for (var series in data) {
+    var points = data[series].data;
+    if (!points || !points.length) {
+      continue;
+    }
+    var values = points.map(function(point) { return point.y; });
+    this.rows_.push({
+      name: data[series].name,
+      color: data[series].color,
+      current: values[values.length - 1],
+      average: d3.mean(values),
+      max: d3.max(values)
+    });
+  }
+  this.renderRows_();
+};
+
+/**
+ * Display the rows, sorted, up to the row limit.
+ * @private
+ */
+TableWidget.prototype.renderRows_ = function() {
+  var self = this;
+
+  var column = this.sortColumn_;
+  var direction = this.ascending_ ? 1 : -1;
+  this.rows_.sort(function(a, b) {
+    if (a[column] < b[column]) {
+      return -direction;
+    }
+    return a[column] > b[column] ? direction : 0;
+  });
+
+  var sortBy = function(column) {
+    return function() {
+      if (self.sortColumn_ == column) {
+        self.ascending_ = !self.ascending_;
+      } else {
+        self.sortColumn_ = column;
+        self.ascending_ = column == 'name';
+      }
+      self.renderRows_();
+    };
+  };
+
+  var table = document.createElement('table');
+  $(table).addClass('table table-condensed table-widget');
+  var header = document.createElement('tr');
+  for (var column in TableWidget.COLUMNS) {
+    var cell = document.createElement('th');
+    $(cell).text(TableWidget.COLUMNS[column]);
+    if (column == this.sortColumn_) {
+      $(cell).addClass(this.ascending_ ? 'sorted-ascending' : 'sorted');
+    }
+    $(cell).click(sortBy(column));
+    $(header).append(cell);
+  }
+  $(table).append(header);
+
+  for (var i = 0; i < this.rows_.length && i < this.limit_; i++) {
+    var row = document.createElement('tr');
+    for (var column in TableWidget.COLUMNS) {
+      var cell = document.createElement('td');
+      if (column == 'name') {
+        var swatch = document.createElement('span');
+        $(swatch).addClass('swatch');
+        $(swatch).css('background-color', this.rows_[i].color);
+        $(cell).append(swatch);
+        $(cell).append(document.createTextNode(this.rows_[i].name));
+      } else {
+        $(cell).text(StatWidget.format(this.rows_[i][column]));
+      }
+      $(row).append(cell);
+    }
+    $(table).append(row);
+  }
+
+  $(this.element_).empty();
+  $(this.element_).append(table);
+};